@@ -1,6 +1,7 @@
 const { Pool } = require('pg');
-const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { runPendingMigrations } = require('./migrations');
+const { getPasswordErrors, hashPassword } = require('../services/passwordPolicy');
 
 // Enable SSL for Railway and other cloud databases
 const isProduction = process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT;
@@ -20,91 +21,17 @@ const pool = new Pool({
   ssl: sslConfig
 });
 
+// Bring the schema up to date, then make sure the configured admin user exists.
+// Throws if a migration fails, so the server never reports ready on a half-migrated schema.
 async function initializeDatabase() {
+  const applied = await runPendingMigrations(pool);
+  if (applied.length > 0) {
+    console.log(`Applied ${applied.length} database migration(s)`);
+  }
+
   const client = await pool.connect();
 
   try {
-    // Create tables
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS employees (
-        id SERIAL PRIMARY KEY,
-        first_name VARCHAR(255) NOT NULL,
-        last_name VARCHAR(255) NOT NULL,
-        daily_wage DECIMAL(12, 2) DEFAULT 0,
-        active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Add daily_wage column if it doesn't exist (migration for existing databases)
-    await client.query(`
-      ALTER TABLE employees ADD COLUMN IF NOT EXISTS daily_wage DECIMAL(12, 2) DEFAULT 0
-    `).catch(() => {});
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS work_records (
-        id SERIAL PRIMARY KEY,
-        employee_id INTEGER REFERENCES employees(id),
-        work_date DATE NOT NULL,
-        wage_amount DECIMAL(12, 2) DEFAULT 0,
-        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        email_token VARCHAR(255)
-      )
-    `);
-
-    // Add wage_amount column if it doesn't exist (migration for existing databases)
-    await client.query(`
-      ALTER TABLE work_records ADD COLUMN IF NOT EXISTS wage_amount DECIMAL(12, 2) DEFAULT 0
-    `).catch(() => {});
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS email_recipients (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS daily_emails (
-        id SERIAL PRIMARY KEY,
-        sent_date DATE NOT NULL,
-        token VARCHAR(255) UNIQUE NOT NULL,
-        used BOOLEAN DEFAULT false,
-        used_by_employee_id INTEGER REFERENCES employees(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create indexes for better query performance
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_work_records_employee_id ON work_records(employee_id)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_work_records_work_date ON work_records(work_date)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_daily_emails_sent_date ON daily_emails(sent_date)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_employees_active ON employees(active)
-    `);
-
-    // Drop the unique constraint if it exists (we now allow manual record management)
-    await client.query(`
-      DROP INDEX IF EXISTS idx_work_records_unique_daily
-    `).catch(() => {});
-
     // SECURITY: Create admin user only if credentials are properly configured
     const adminUsername = process.env.ADMIN_USERNAME;
     const adminPassword = process.env.ADMIN_PASSWORD;
@@ -112,18 +39,7 @@ async function initializeDatabase() {
     // Validate admin credentials before creating user
     if (adminUsername && adminPassword) {
       // SECURITY: Enforce minimum password requirements
-      const MIN_PASSWORD_LENGTH = 12;
-      const passwordErrors = [];
-
-      if (adminPassword.length < MIN_PASSWORD_LENGTH) {
-        passwordErrors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
-      }
-      if (adminPassword === 'changeme' || adminPassword === 'password' || adminPassword === 'admin') {
-        passwordErrors.push('Password cannot be a common default value');
-      }
-      if (adminPassword.toLowerCase() === adminUsername.toLowerCase()) {
-        passwordErrors.push('Password cannot be the same as username');
-      }
+      const passwordErrors = getPasswordErrors(adminPassword, adminUsername);
 
       if (passwordErrors.length > 0 && isProduction) {
         console.error('FATAL: Admin password does not meet security requirements:');
@@ -140,14 +56,18 @@ async function initializeDatabase() {
       );
 
       if (existingAdmin.rows.length === 0) {
-        // SECURITY: Use higher bcrypt cost factor (12 instead of 10)
-        const passwordHash = await bcrypt.hash(adminPassword, 12);
+        const passwordHash = await hashPassword(adminPassword);
         await client.query(
-          'INSERT INTO users (username, password_hash) VALUES ($1, $2)',
-          [adminUsername, passwordHash]
+          "INSERT INTO users (username, password_hash, email, role) VALUES ($1, $2, $3, 'admin')",
+          [adminUsername, passwordHash, process.env.ADMIN_EMAIL || null]
         );
         // SECURITY: Don't log username to avoid credential exposure in logs
         console.log('Admin user created successfully');
+      } else if (process.env.ADMIN_EMAIL) {
+        await client.query(
+          'UPDATE users SET email = $1 WHERE id = $2 AND email IS NULL',
+          [process.env.ADMIN_EMAIL, existingAdmin.rows[0].id]
+        );
       }
     } else if (isProduction) {
       // SECURITY: In production, require explicit admin credentials
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migrations live in migrations/ as NNN_description.js files exporting `async up(client)`.
+// Each one runs in its own transaction and is recorded in schema_migrations once committed.
+// Never edit a migration that has been deployed; add a new one instead.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so two app instances never migrate at the same time
+const MIGRATION_LOCK_KEY = 727100;
+
+// Read migration files in version order. Throws on duplicate versions or a missing up().
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) return null;
+      return { version: parseInt(match[1], 10), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file} and ${migration.file}`);
+    }
+    const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+    if (typeof up !== 'function') {
+      throw new Error(`Migration ${migration.file} does not export an up() function`);
+    }
+    migration.up = up;
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Every known migration with its applied_at (null if pending), plus versions recorded in the
+// database that have no file here (e.g. the database was migrated by a newer release)
+async function getMigrationStatus(pool) {
+  await ensureMigrationsTable(pool);
+  const migrations = loadMigrations();
+  const result = await pool.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null
+    })),
+    unknown: result.rows.filter(row => !known.has(row.version))
+  };
+}
+
+// Apply pending migrations in order. Stops at the first failure (which is rolled back) and
+// rethrows it, so the caller never continues with a partially migrated schema.
+// Returns the list of migrations that were applied.
+async function runPendingMigrations(pool, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const done = new Set(result.rows.map(row => row.version));
+
+    for (const migration of migrations) {
+      if (done.has(migration.version)) continue;
+
+      log(`Applying migration ${migration.file}...`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+      applied.push(migration);
+    }
+
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { loadMigrations, getMigrationStatus, runPendingMigrations };
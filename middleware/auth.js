@@ -1,8 +1,93 @@
-function requireAuth(req, res, next) {
-  if (req.session && req.session.userId) {
-    return next();
+const { pool } = require('../config/database');
+
+// Roles, from most to least privileged
+const ROLES = ['admin', 'supervisor', 'viewer'];
+
+// Which roles may perform each action. Routes enforce these with requirePermission()
+// and views use can() to hide what the current user isn't allowed to do.
+const PERMISSIONS = {
+  'employees.view': ['admin', 'supervisor', 'viewer'],
+  'employees.manage': ['admin'],
+  'records.view': ['admin', 'supervisor', 'viewer'],
+  'records.edit': ['admin', 'supervisor'],
+  'records.editWage': ['admin'],
+  'records.purge': ['admin'],
+  'periods.view': ['admin', 'supervisor', 'viewer'],
+  'periods.manage': ['admin'],
+  'recipients.manage': ['admin'],
+  'emails.send': ['admin'],
+  'tokens.manage': ['admin'],
+  'users.manage': ['admin'],
+  'audit.view': ['admin'],
+  'holidays.view': ['admin', 'supervisor', 'viewer'],
+  'holidays.manage': ['admin'],
+  'ledger.view': ['admin', 'supervisor', 'viewer'],
+  'ledger.manage': ['admin'],
+  'payments.view': ['admin', 'supervisor', 'viewer'],
+  'payments.manage': ['admin'],
+  'reports.view': ['admin', 'supervisor', 'viewer'],
+  'payslips.view': ['admin', 'supervisor', 'viewer']
+};
+
+function hasPermission(user, action) {
+  const roles = PERMISSIONS[action];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+  return !!user && roles.includes(user.role);
+}
+
+// Page where users set up two-factor authentication
+const TWO_FACTOR_SETUP_PATH = '/account/2fa';
+
+// Load the logged-in user on every request, so role changes and deactivation
+// take effect immediately instead of when the session expires
+async function requireAuth(req, res, next) {
+  if (!req.session || !req.session.userId) {
+    return res.redirect('/login');
   }
-  res.redirect('/login');
+
+  try {
+    const result = await pool.query(
+      `SELECT id, username, email, role, active, totp_enabled,
+              COALESCE((SELECT value FROM app_settings WHERE key = 'require_2fa'), 'false') = 'true' AS two_factor_required
+       FROM users WHERE id = $1`,
+      [req.session.userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.active) {
+      return req.session.destroy(() => res.redirect('/login'));
+    }
+
+    // When admins require 2FA, users without it can only reach the setup page
+    if (user.two_factor_required && !user.totp_enabled &&
+        !req.originalUrl.split('?')[0].startsWith(TWO_FACTOR_SETUP_PATH)) {
+      return res.redirect(TWO_FACTOR_SETUP_PATH);
+    }
+
+    req.user = user;
+    res.locals.currentUser = user;
+    res.locals.can = action => hasPermission(user, action);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Use after requireAuth. Renders 403 unless the user's role allows the action.
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (hasPermission(req.user, action)) {
+      return next();
+    }
+    res.status(403).render('error', {
+      title: 'Access Denied',
+      message: `Your role (${req.user ? req.user.role : 'none'}) does not allow this action. Ask an administrator if you need access.`,
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  };
 }
 
 function redirectIfAuthenticated(req, res, next) {
@@ -12,4 +97,4 @@ function redirectIfAuthenticated(req, res, next) {
   next();
 }
 
-module.exports = { requireAuth, redirectIfAuthenticated };
+module.exports = { ROLES, hasPermission, requireAuth, requirePermission, redirectIfAuthenticated };
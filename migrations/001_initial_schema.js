@@ -0,0 +1,83 @@
+// Core tables as they existed before versioned migrations. Everything uses IF NOT EXISTS
+// so databases created by the old startup code are adopted without changes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS employees (
+        id SERIAL PRIMARY KEY,
+        first_name VARCHAR(255) NOT NULL,
+        last_name VARCHAR(255) NOT NULL,
+        daily_wage DECIMAL(12, 2) DEFAULT 0,
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Very old databases predate wages
+    await client.query(`
+      ALTER TABLE employees ADD COLUMN IF NOT EXISTS daily_wage DECIMAL(12, 2) DEFAULT 0
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS work_records (
+        id SERIAL PRIMARY KEY,
+        employee_id INTEGER REFERENCES employees(id),
+        work_date DATE NOT NULL,
+        wage_amount DECIMAL(12, 2) DEFAULT 0,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        email_token VARCHAR(255)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE work_records ADD COLUMN IF NOT EXISTS wage_amount DECIMAL(12, 2) DEFAULT 0
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_recipients (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS daily_emails (
+        id SERIAL PRIMARY KEY,
+        sent_date DATE NOT NULL,
+        token VARCHAR(255) UNIQUE NOT NULL,
+        used BOOLEAN DEFAULT false,
+        used_by_employee_id INTEGER REFERENCES employees(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_work_records_employee_id ON work_records(employee_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_work_records_work_date ON work_records(work_date)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_daily_emails_sent_date ON daily_emails(sent_date)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_employees_active ON employees(active)
+    `);
+
+    // Records are managed manually too, so one record per employee per day is no longer enforced
+    await client.query(`
+      DROP INDEX IF EXISTS idx_work_records_unique_daily
+    `);
+  }
+};
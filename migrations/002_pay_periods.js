@@ -0,0 +1,23 @@
+// Pay periods; work records inside a closed period are locked
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pay_periods (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        closed_at TIMESTAMP,
+        closed_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date),
+        CHECK (status IN ('open', 'closed'))
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_pay_periods_dates ON pay_periods(start_date, end_date)
+    `);
+  }
+};
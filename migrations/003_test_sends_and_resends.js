@@ -0,0 +1,14 @@
+// Test sends, superseded (replaced) tokens for resends, and the address used for test sends
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS is_test BOOLEAN DEFAULT false
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP
+    `);
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email VARCHAR(255)
+    `);
+  }
+};
@@ -0,0 +1,47 @@
+// Per-recipient tokens with delivery status, and which recipient's link recorded each work record.
+// Rows without a recipient are older shared sends.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS recipient_id INTEGER REFERENCES email_recipients(id) ON DELETE SET NULL
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20) DEFAULT 'sent'
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS delivery_error TEXT
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP
+    `);
+
+    // Older versions could issue several shared live tokens per day; keep only the newest one
+    await client.query(`
+      UPDATE daily_emails de SET superseded_at = CURRENT_TIMESTAMP
+      WHERE de.is_test = false AND de.superseded_at IS NULL AND de.recipient_id IS NULL
+        AND EXISTS (
+          SELECT 1 FROM daily_emails newer
+          WHERE newer.sent_date = de.sent_date
+            AND newer.is_test = false AND newer.superseded_at IS NULL AND newer.recipient_id IS NULL
+            AND newer.id > de.id
+        )
+    `);
+
+    // Only one live (non-test, non-superseded) email per recipient per day
+    await client.query(`
+      DROP INDEX IF EXISTS idx_daily_emails_one_live_per_day
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_emails_one_live_per_recipient
+      ON daily_emails(sent_date, COALESCE(recipient_id, 0)) WHERE is_test = false AND superseded_at IS NULL
+    `);
+
+    // NULL for manual entries
+    await client.query(`
+      ALTER TABLE work_records ADD COLUMN IF NOT EXISTS recorded_by_recipient_id INTEGER REFERENCES email_recipients(id) ON DELETE SET NULL
+    `);
+  }
+};
@@ -0,0 +1,24 @@
+const { getTimezone } = require('../services/dateService');
+
+// Attendance link expiry and admin revocation
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP
+    `);
+    await client.query(`
+      ALTER TABLE daily_emails ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    // Tokens issued before expiry existed get the default window (end of the day after sending)
+    await client.query(
+      `UPDATE daily_emails
+       SET expires_at = ((sent_date + 2)::timestamp AT TIME ZONE $1)
+       WHERE expires_at IS NULL`,
+      [getTimezone()]
+    );
+  }
+};
@@ -0,0 +1,18 @@
+// User roles (admin, supervisor, viewer) and deactivation. Existing users were all
+// full administrators, so they keep that role; new users default to read-only.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'admin'
+    `);
+    await client.query(`
+      ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer'
+    `);
+    await client.query(`
+      ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'supervisor', 'viewer'))
+    `);
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true
+    `);
+  }
+};
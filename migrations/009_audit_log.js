@@ -0,0 +1,52 @@
+// Append-only audit trail of changes to employees, work records and email recipients.
+// A trigger rejects UPDATE, DELETE and TRUNCATE so entries can't be rewritten.
+// Actors are stored without foreign keys so the log outlives the rows it mentions.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        actor_user_id INTEGER,
+        actor_label VARCHAR(255) NOT NULL,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        employee_id INTEGER,
+        action VARCHAR(20) NOT NULL,
+        before_data JSONB,
+        after_data JSONB,
+        email_token VARCHAR(255),
+        ip_address VARCHAR(45)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_employee_id ON audit_log(employee_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at)
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log');
+    await client.query(`
+      CREATE TRIGGER audit_log_no_change
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log');
+    await client.query(`
+      CREATE TRIGGER audit_log_no_truncate
+        BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+// Deleting a work record moves it to the trash instead of removing the row.
+// Trashed records are excluded everywhere and purged after the retention period.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE work_records
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_work_records_deleted_at ON work_records(deleted_at)
+        WHERE deleted_at IS NOT NULL
+    `);
+  }
+};
@@ -0,0 +1,47 @@
+// Daily wages with effective-from dates. employee_wage_on() returns the wage in force on a
+// date, so records, tracking links and recalculation all agree. employees.daily_wage is
+// kept only as the fallback for employees without any history.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS employee_wages (
+        id SERIAL PRIMARY KEY,
+        employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+        daily_wage DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        effective_from DATE NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (employee_id, effective_from)
+      )
+    `);
+
+    // Existing wages apply from the employee's first record (or creation, if earlier)
+    await client.query(`
+      INSERT INTO employee_wages (employee_id, daily_wage, effective_from)
+      SELECT e.id, COALESCE(e.daily_wage, 0),
+             LEAST(
+               COALESCE(e.created_at::date, CURRENT_DATE),
+               COALESCE((SELECT MIN(wr.work_date) FROM work_records wr WHERE wr.employee_id = e.id), CURRENT_DATE)
+             )
+      FROM employees e
+      WHERE NOT EXISTS (SELECT 1 FROM employee_wages ew WHERE ew.employee_id = e.id)
+    `);
+
+    // Dates before the first entry use the earliest known wage
+    await client.query(`
+      CREATE OR REPLACE FUNCTION employee_wage_on(p_employee_id INTEGER, p_date DATE)
+      RETURNS DECIMAL(12, 2) AS $$
+        SELECT COALESCE(
+          (SELECT daily_wage FROM employee_wages
+           WHERE employee_id = p_employee_id AND effective_from <= p_date
+           ORDER BY effective_from DESC LIMIT 1),
+          (SELECT daily_wage FROM employee_wages
+           WHERE employee_id = p_employee_id
+           ORDER BY effective_from ASC LIMIT 1),
+          (SELECT daily_wage FROM employees WHERE id = p_employee_id),
+          0
+        )
+      $$ LANGUAGE sql STABLE
+    `);
+  }
+};
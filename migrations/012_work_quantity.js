@@ -0,0 +1,30 @@
+// Work records can cover a full day, half a day or a number of hours, plus overtime hours
+// paid at a surcharge. daily_rate is the employee's rate the wage was computed from and
+// overtime_multiplier the surcharge in force when the record was saved; wage_amount stays
+// the total owed for the record.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE work_records
+        ADD COLUMN IF NOT EXISTS day_type VARCHAR(10) NOT NULL DEFAULT 'full',
+        ADD COLUMN IF NOT EXISTS hours_worked DECIMAL(5, 2),
+        ADD COLUMN IF NOT EXISTS overtime_hours DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS overtime_type VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS overtime_multiplier DECIMAL(5, 2),
+        ADD COLUMN IF NOT EXISTS daily_rate DECIMAL(12, 2)
+    `);
+
+    // Every existing record is a full day paid at its recorded wage
+    await client.query('UPDATE work_records SET daily_rate = wage_amount WHERE daily_rate IS NULL');
+
+    await client.query(`
+      ALTER TABLE work_records
+        ADD CONSTRAINT work_records_day_type_check
+          CHECK (day_type IN ('full', 'half', 'hours')),
+        ADD CONSTRAINT work_records_hours_worked_check
+          CHECK ((day_type = 'hours') = (hours_worked IS NOT NULL) AND (hours_worked IS NULL OR hours_worked > 0)),
+        ADD CONSTRAINT work_records_overtime_check
+          CHECK (overtime_hours >= 0 AND (overtime_hours = 0) = (overtime_type IS NULL))
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+// Admin-defined closure days on top of the built-in Colombian public holidays (see
+// services/holidayService.js), and the Sunday/holiday surcharge multiplier a work record
+// was priced with (NULL on ordinary days).
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS closure_days (
+        id SERIAL PRIMARY KEY,
+        closure_date DATE UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        holiday_surcharge BOOLEAN NOT NULL DEFAULT false,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE work_records ADD COLUMN IF NOT EXISTS holiday_multiplier DECIMAL(5, 2)
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+// Per-employee pay adjustments. Advances, loan installments and deductions are subtracted
+// from gross pay and bonuses added, on the pay period containing adjustment_date.
+// A loan's outstanding balance is its principal minus the installments recorded against it.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS employee_loans (
+        id SERIAL PRIMARY KEY,
+        employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+        loan_date DATE NOT NULL,
+        principal DECIMAL(12, 2) NOT NULL CHECK (principal > 0),
+        installment_amount DECIMAL(12, 2) CHECK (installment_amount > 0),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS employee_adjustments (
+        id SERIAL PRIMARY KEY,
+        employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+        adjustment_date DATE NOT NULL,
+        adjustment_type VARCHAR(20) NOT NULL
+          CHECK (adjustment_type IN ('advance', 'loan_installment', 'deduction', 'bonus')),
+        amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+        loan_id INTEGER REFERENCES employee_loans(id) ON DELETE RESTRICT,
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((adjustment_type = 'loan_installment') = (loan_id IS NOT NULL))
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_employee_adjustments_employee_date
+        ON employee_adjustments (employee_id, adjustment_date)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_employee_adjustments_loan ON employee_adjustments (loan_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_employee_loans_employee ON employee_loans (employee_id)
+    `);
+  }
+};
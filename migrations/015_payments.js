@@ -0,0 +1,31 @@
+// Payment batches: one payout covering the unpaid work records of a set of employees
+// within a date range. A work record is paid once it belongs to a batch; voiding the
+// batch (deleting it) makes its records unpaid again.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_batches (
+        id SERIAL PRIMARY KEY,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        payment_date DATE NOT NULL,
+        method VARCHAR(20) NOT NULL CHECK (method IN ('cash', 'transfer', 'nequi', 'daviplata')),
+        reference VARCHAR(100),
+        total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        record_count INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (start_date <= end_date)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE work_records
+        ADD COLUMN IF NOT EXISTS payment_batch_id INTEGER REFERENCES payment_batches(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_work_records_payment_batch ON work_records (payment_batch_id)
+    `);
+  }
+};
@@ -0,0 +1,112 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { getTimezone } = require('../services/dateService');
+const { ENTITY_TYPES, ACTIONS } = require('../services/auditService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requirePermission('audit.view'));
+
+// How many of the most recent matching entries the viewer shows
+const MAX_LISTED_ENTRIES = 200;
+
+// Validate ID is a positive integer
+function isValidId(id) {
+  const num = parseInt(id, 10);
+  return !isNaN(num) && num > 0;
+}
+
+// Validate date format (YYYY-MM-DD)
+function isValidDate(dateStr) {
+  if (!dateStr) return false;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(dateStr)) return false;
+  const date = new Date(dateStr);
+  return date instanceof Date && !isNaN(date);
+}
+
+// Heading for a single employee's or record's history
+async function describeSubject(filters) {
+  if (filters.employee_id) {
+    const result = await pool.query('SELECT first_name, last_name FROM employees WHERE id = $1', [filters.employee_id]);
+    const name = result.rows[0] ? `${result.rows[0].first_name} ${result.rows[0].last_name}` : `Employee #${filters.employee_id}`;
+    return `History: ${name}`;
+  }
+  if (filters.entity_type === 'work_record' && filters.entity_id) {
+    return `History: Record #${filters.entity_id}`;
+  }
+  return null;
+}
+
+// Audit log viewer, newest first. Filters: entity type, entity ID, employee, action, actor, date range.
+router.get('/', async (req, res) => {
+  const { entity_type, entity_id, employee_id, action, actor, from, to } = req.query;
+  const filters = {
+    entity_type: ENTITY_TYPES.includes(entity_type) ? entity_type : '',
+    entity_id: isValidId(entity_id) ? parseInt(entity_id, 10) : '',
+    employee_id: isValidId(employee_id) ? parseInt(employee_id, 10) : '',
+    action: ACTIONS.includes(action) ? action : '',
+    actor: typeof actor === 'string' ? actor.trim().slice(0, 255) : '',
+    from: isValidDate(from) ? from : '',
+    to: isValidDate(to) ? to : ''
+  };
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.entity_type) addCondition('a.entity_type = ?', filters.entity_type);
+  if (filters.entity_id) addCondition('a.entity_id = ?', filters.entity_id);
+  if (filters.employee_id) addCondition('a.employee_id = ?', filters.employee_id);
+  if (filters.action) addCondition('a.action = ?', filters.action);
+  if (filters.actor) addCondition("a.actor_label ILIKE '%' || ? || '%'", filters.actor);
+  // Dates are business dates in the configured timezone
+  if (filters.from || filters.to) {
+    params.push(getTimezone());
+    const localDate = `(a.occurred_at AT TIME ZONE $${params.length})::date`;
+    if (filters.from) addCondition(`${localDate} >= ?::date`, filters.from);
+    if (filters.to) addCondition(`${localDate} <= ?::date`, filters.to);
+  }
+
+  params.push(MAX_LISTED_ENTRIES);
+  const limitParam = `$${params.length}`;
+
+  try {
+    const employeesResult = await pool.query('SELECT id, first_name, last_name FROM employees ORDER BY first_name, last_name');
+    const result = await pool.query(
+      `SELECT a.*, e.first_name, e.last_name
+       FROM audit_log a
+       LEFT JOIN employees e ON a.employee_id = e.id
+       ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY a.occurred_at DESC, a.id DESC
+       LIMIT ${limitParam}`,
+      params
+    );
+
+    res.render('audit/index', {
+      entries: result.rows,
+      filters,
+      employees: employeesResult.rows,
+      subject: await describeSubject(filters),
+      entityTypes: ENTITY_TYPES,
+      actions: ACTIONS,
+      maxListed: MAX_LISTED_ENTRIES,
+      timezone: getTimezone()
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the audit log. Please try again.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  }
+});
+
+module.exports = router;
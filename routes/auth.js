@@ -1,7 +1,11 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { pool } = require('../config/database');
-const { redirectIfAuthenticated } = require('../middleware/auth');
+const { requireAuth, redirectIfAuthenticated } = require('../middleware/auth');
+const { getPasswordErrors, hashPassword } = require('../services/passwordPolicy');
+const totpService = require('../services/totpService');
+const { destroyUserSessions } = require('../services/sessionService');
 
 const router = express.Router();
 
@@ -45,6 +49,32 @@ function clearAttempts(ip) {
   loginAttempts.delete(ip);
 }
 
+// The second login step must be finished within 5 minutes of entering the password
+const TWO_FACTOR_TTL = 5 * 60 * 1000;
+
+// Regenerate the session (prevents session fixation) and log the user in
+function startSession(req, res, user, onError) {
+  req.session.regenerate((err) => {
+    if (err) {
+      console.error('Session regeneration error:', err);
+      return onError();
+    }
+
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    res.redirect('/dashboard');
+  });
+}
+
+// Password accepted, second factor pending. Returns null if missing or timed out.
+function getPendingTwoFactor(req) {
+  const pending = req.session && req.session.pendingTwoFactor;
+  if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_TTL) {
+    return null;
+  }
+  return pending;
+}
+
 router.get('/login', redirectIfAuthenticated, (req, res) => {
   res.render('login', { error: null });
 });
@@ -75,7 +105,7 @@ router.post('/login', redirectIfAuthenticated, async (req, res) => {
 
   try {
     const result = await pool.query(
-      'SELECT id, password_hash FROM users WHERE username = $1',
+      'SELECT id, username, password_hash, active, totp_enabled FROM users WHERE username = $1',
       [trimmedUsername]
     );
 
@@ -92,19 +122,27 @@ router.post('/login', redirectIfAuthenticated, async (req, res) => {
       return res.render('login', { error: 'Invalid username or password' });
     }
 
+    if (!user.active) {
+      return res.render('login', { error: 'This account has been deactivated. Contact an administrator.' });
+    }
+
     // Success - clear attempts and create session
     clearAttempts(clientIp);
+    const renderSessionError = () => res.render('login', { error: 'An error occurred. Please try again.' });
+
+    if (!user.totp_enabled) {
+      return startSession(req, res, user, renderSessionError);
+    }
 
-    // Regenerate session to prevent session fixation
+    // SECURITY: userId is only set once the second factor is verified
     req.session.regenerate((err) => {
       if (err) {
         console.error('Session regeneration error:', err);
-        return res.render('login', { error: 'An error occurred. Please try again.' });
+        return renderSessionError();
       }
 
-      req.session.userId = user.id;
-      req.session.username = trimmedUsername;
-      res.redirect('/dashboard');
+      req.session.pendingTwoFactor = { userId: user.id, startedAt: Date.now(), attempts: 0 };
+      res.redirect('/login/2fa');
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -112,6 +150,424 @@ router.post('/login', redirectIfAuthenticated, async (req, res) => {
   }
 });
 
+// Second login step: authenticator code or recovery code
+router.get('/login/2fa', redirectIfAuthenticated, (req, res) => {
+  if (!getPendingTwoFactor(req)) {
+    return res.redirect('/login');
+  }
+  res.render('login-2fa', { error: null });
+});
+
+router.post('/login/2fa', redirectIfAuthenticated, async (req, res) => {
+  const pending = getPendingTwoFactor(req);
+  const clientIp = req.ip || req.connection.remoteAddress;
+  const code = (req.body.code || '').trim();
+
+  if (!pending) {
+    return res.render('login', { error: 'Your login timed out. Please enter your password again.' });
+  }
+
+  const rateCheck = checkRateLimit(clientIp);
+  if (!rateCheck.allowed || pending.attempts >= MAX_ATTEMPTS) {
+    // Start over from the password step
+    delete req.session.pendingTwoFactor;
+    return res.render('login', {
+      error: rateCheck.allowed
+        ? 'Too many incorrect codes. Please log in again.'
+        : `Too many failed attempts. Please try again in ${rateCheck.remainingMinutes} minute(s).`
+    });
+  }
+
+  if (!code) {
+    return res.render('login-2fa', { error: 'Please enter a code.' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, username, active, totp_enabled, totp_secret, totp_last_used_step FROM users WHERE id = $1',
+      [pending.userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.active || !user.totp_enabled) {
+      delete req.session.pendingTwoFactor;
+      return res.render('login', { error: 'Please log in again.' });
+    }
+
+    let verified = false;
+    const step = totpService.verifyCode(user.totp_secret, code, {
+      lastUsedStep: user.totp_last_used_step === null ? null : Number(user.totp_last_used_step)
+    });
+
+    if (step !== null) {
+      // SECURITY: Record the step atomically so the same code can't be used twice
+      const updated = await pool.query(
+        `UPDATE users SET totp_last_used_step = $1
+         WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)`,
+        [step, user.id]
+      );
+      verified = updated.rowCount === 1;
+    } else if (!/^\d{6}$/.test(code.replace(/\s+/g, ''))) {
+      const used = await pool.query(
+        `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [user.id, totpService.hashRecoveryCode(code)]
+      );
+      verified = used.rows.length === 1;
+    }
+
+    if (!verified) {
+      pending.attempts++;
+      recordFailedAttempt(clientIp);
+      return res.render('login-2fa', { error: 'Invalid code. Please try again.' });
+    }
+
+    clearAttempts(clientIp);
+    startSession(req, res, user, () => res.render('login', { error: 'An error occurred. Please try again.' }));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.render('login-2fa', { error: 'An error occurred. Please try again.' });
+  }
+});
+
+// Look up an unused, unexpired reset link for an active user. Returns null if invalid.
+async function findPasswordReset(db, token, { forUpdate = false } = {}) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    return null;
+  }
+
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const result = await db.query(
+    `SELECT pr.id, pr.user_id, u.username
+     FROM password_resets pr
+     JOIN users u ON pr.user_id = u.id
+     WHERE pr.token_hash = $1 AND pr.used_at IS NULL AND pr.expires_at > CURRENT_TIMESTAMP
+       AND u.active = true${forUpdate ? ' FOR UPDATE OF pr' : ''}`,
+    [tokenHash]
+  );
+  return result.rows[0] || null;
+}
+
+function renderInvalidResetLink(res) {
+  return res.status(410).render('error', {
+    title: 'Link Expired',
+    message: 'This password reset link is invalid, expired or already used. Ask an administrator for a new one.',
+    backLink: '/login',
+    backText: 'Go to Login'
+  });
+}
+
+// Change password form
+router.get('/account/password', requireAuth, (req, res) => {
+  res.render('account/password', { error: null, success: req.query.success || null });
+});
+
+// Change password (requires the current password)
+router.post('/account/password', requireAuth, async (req, res) => {
+  const { current_password, new_password, confirm_password } = req.body;
+  const clientIp = req.ip || req.connection.remoteAddress;
+  const renderError = error => res.render('account/password', { error, success: null });
+
+  // Guessing the current password is throttled like logins
+  const rateCheck = checkRateLimit(clientIp);
+  if (!rateCheck.allowed) {
+    return renderError(`Too many failed attempts. Please try again in ${rateCheck.remainingMinutes} minute(s).`);
+  }
+
+  if (!current_password || !new_password) {
+    return renderError('Please fill in all fields.');
+  }
+
+  try {
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const validPassword = await bcrypt.compare(current_password, result.rows[0].password_hash);
+    if (!validPassword) {
+      recordFailedAttempt(clientIp);
+      return renderError('Current password is incorrect.');
+    }
+
+    const passwordErrors = getPasswordErrors(new_password, req.user.username);
+    if (passwordErrors.length > 0) {
+      return renderError(passwordErrors[0]);
+    }
+    if (new_password !== confirm_password) {
+      return renderError('New passwords do not match.');
+    }
+    if (new_password === current_password) {
+      return renderError('The new password must be different from the current one.');
+    }
+
+    const passwordHash = await hashPassword(new_password);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, req.user.id]
+    );
+
+    // Sign out everywhere else; this session stays logged in
+    await destroyUserSessions(pool, req.user.id, req.sessionID);
+
+    res.redirect('/account/password?success=' + encodeURIComponent('Password changed. Your other sessions have been signed out.'));
+  } catch (error) {
+    console.error('Error changing password:', error);
+    renderError('Unable to change password. Please try again.');
+  }
+});
+
+// Confirm the user's password before sensitive 2FA changes. Returns an error message, or null if it matches.
+async function checkCurrentPassword(req, password) {
+  const clientIp = req.ip || req.connection.remoteAddress;
+
+  const rateCheck = checkRateLimit(clientIp);
+  if (!rateCheck.allowed) {
+    return `Too many failed attempts. Please try again in ${rateCheck.remainingMinutes} minute(s).`;
+  }
+  if (!password) {
+    return 'Please enter your password.';
+  }
+
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+  if (!await bcrypt.compare(password, result.rows[0].password_hash)) {
+    recordFailedAttempt(clientIp);
+    return 'Password is incorrect.';
+  }
+  return null;
+}
+
+// Replace the user's recovery codes with a fresh set. Returns the plain codes to show once.
+async function replaceRecoveryCodes(client, userId) {
+  const { codes, hashes } = totpService.generateRecoveryCodes();
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::text[])',
+    [userId, hashes]
+  );
+  return codes;
+}
+
+async function renderTwoFactorPage(req, res, { error = null, success = null, recoveryCodes = null } = {}) {
+  const result = await pool.query(
+    `SELECT u.totp_enabled,
+            (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS remaining_codes
+     FROM users u WHERE u.id = $1`,
+    [req.user.id]
+  );
+  const { totp_enabled: enabled, remaining_codes: remainingCodes } = result.rows[0];
+
+  // Enrollment: the secret stays in the session until a code from the app confirms it
+  let qrCode = null;
+  if (!enabled) {
+    if (!req.session.pendingTotpSecret) {
+      req.session.pendingTotpSecret = totpService.generateSecret();
+    }
+    qrCode = await totpService.getEnrollmentQrCode(req.session.pendingTotpSecret, req.user.username);
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.render('account/two-factor', {
+    enabled,
+    required: req.user.two_factor_required,
+    qrCode,
+    secret: enabled ? null : req.session.pendingTotpSecret,
+    remainingCodes: parseInt(remainingCodes, 10),
+    recoveryCodes,
+    error,
+    success
+  });
+}
+
+function renderTwoFactorError(res, error) {
+  console.error('Two-factor settings error:', error);
+  res.status(500).render('error', {
+    title: 'Error',
+    message: 'Unable to update two-factor authentication. Please try again.',
+    backLink: '/account/2fa',
+    backText: 'Back to Two-Factor Authentication'
+  });
+}
+
+// Two-factor authentication settings
+router.get('/account/2fa', requireAuth, async (req, res) => {
+  try {
+    await renderTwoFactorPage(req, res, { success: req.query.success || null });
+  } catch (error) {
+    renderTwoFactorError(res, error);
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/account/2fa/enable', requireAuth, async (req, res) => {
+  const secret = req.session.pendingTotpSecret;
+  if (!secret) {
+    return res.redirect('/account/2fa');
+  }
+
+  const step = totpService.verifyCode(secret, req.body.code);
+  if (step === null) {
+    try {
+      return await renderTwoFactorPage(req, res, {
+        error: 'That code is not valid. Check the time on your phone and try the current code.'
+      });
+    } catch (error) {
+      return renderTwoFactorError(res, error);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const updated = await client.query(
+      `UPDATE users SET totp_secret = $1, totp_enabled = true, totp_last_used_step = $2
+       WHERE id = $3 AND totp_enabled = false`,
+      [secret, step, req.user.id]
+    );
+    if (updated.rowCount === 0) {
+      await client.query('ROLLBACK');
+      delete req.session.pendingTotpSecret;
+      return res.redirect('/account/2fa');
+    }
+    const recoveryCodes = await replaceRecoveryCodes(client, req.user.id);
+    await client.query('COMMIT');
+
+    delete req.session.pendingTotpSecret;
+    req.user.totp_enabled = true;
+    await renderTwoFactorPage(req, res, {
+      success: 'Two-factor authentication is on. You will be asked for a code each time you log in.',
+      recoveryCodes
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    renderTwoFactorError(res, error);
+  } finally {
+    client.release();
+  }
+});
+
+// Replace recovery codes (requires the password)
+router.post('/account/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const passwordError = await checkCurrentPassword(req, req.body.password);
+    if (passwordError) {
+      return await renderTwoFactorPage(req, res, { error: passwordError });
+    }
+
+    const client = await pool.connect();
+    let recoveryCodes;
+    try {
+      await client.query('BEGIN');
+      recoveryCodes = await replaceRecoveryCodes(client, req.user.id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await renderTwoFactorPage(req, res, {
+      success: 'New recovery codes generated. Your old codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    renderTwoFactorError(res, error);
+  }
+});
+
+// Turn 2FA off (requires the password; not allowed while admins require 2FA)
+router.post('/account/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    if (req.user.two_factor_required) {
+      return await renderTwoFactorPage(req, res, {
+        error: 'Two-factor authentication is required for all users and cannot be turned off.'
+      });
+    }
+
+    const passwordError = await checkCurrentPassword(req, req.body.password);
+    if (passwordError) {
+      return await renderTwoFactorPage(req, res, { error: passwordError });
+    }
+
+    await pool.query(
+      'UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL WHERE id = $1',
+      [req.user.id]
+    );
+    await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    res.redirect('/account/2fa?success=' + encodeURIComponent('Two-factor authentication is off.'));
+  } catch (error) {
+    renderTwoFactorError(res, error);
+  }
+});
+
+// Reset password form (public, reached from an admin-issued email link)
+router.get('/reset-password/:token', async (req, res) => {
+  try {
+    const reset = await findPasswordReset(pool, req.params.token);
+    if (!reset) {
+      return renderInvalidResetLink(res);
+    }
+
+    // Keep the link out of caches and referrers
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.render('reset-password', { username: reset.username, token: req.params.token, error: null });
+  } catch (error) {
+    console.error('Error loading password reset:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load this page. Please try again.',
+      backLink: '/login',
+      backText: 'Go to Login'
+    });
+  }
+});
+
+// Set a new password from a reset link. The link is consumed and every session of the user ends.
+router.post('/reset-password/:token', async (req, res) => {
+  const { new_password, confirm_password } = req.body;
+  const token = req.params.token;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const reset = await findPasswordReset(client, token, { forUpdate: true });
+    if (!reset) {
+      await client.query('ROLLBACK');
+      return renderInvalidResetLink(res);
+    }
+
+    const passwordErrors = getPasswordErrors(new_password, reset.username);
+    const formError = passwordErrors[0] || (new_password !== confirm_password ? 'Passwords do not match.' : null);
+    if (formError) {
+      await client.query('ROLLBACK');
+      return res.render('reset-password', { username: reset.username, token, error: formError });
+    }
+
+    const passwordHash = await hashPassword(new_password);
+    await client.query(
+      'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, reset.user_id]
+    );
+    await client.query('UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [reset.id]);
+    await destroyUserSessions(client, reset.user_id);
+
+    await client.query('COMMIT');
+
+    res.render('login', { error: null, success: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting password:', error);
+    res.render('reset-password', {
+      username: null,
+      token,
+      error: 'Unable to reset password. Please try again.'
+    });
+  } finally {
+    client.release();
+  }
+});
+
 router.get('/logout', (req, res) => {
   req.session.destroy((err) => {
     if (err) {
@@ -1,6 +1,15 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { actorFromRequest, logAudit } = require('../services/auditService');
+const { getWageHistory } = require('../services/wageService');
+const { getBusinessDate, toDateString } = require('../services/dateService');
+const { findClosedPeriod, getCurrentPayRange, getPeriodSummary } = require('../services/payPeriodService');
+const { ADJUSTMENT_TYPES, getLoans, getLoanBalance, getAdjustments } = require('../services/ledgerService');
+const { toCSV, parseCSVWithHeaders } = require('../services/csvService');
+const { formatCOP } = require('../services/formatService');
+const { getCompanyName, getPayslips, renderPayslipsPDF } = require('../services/payslipService');
+const { describeQuantity } = require('../services/workQuantityService');
 
 const router = express.Router();
 
@@ -9,6 +18,9 @@ router.use(requireAuth);
 // Validation constants
 const MAX_NAME_LENGTH = 100;
 const NAME_PATTERN = /^[a-zA-ZÀ-ÿ\s'-]+$/; // Allow letters, spaces, hyphens, apostrophes
+const MAX_NOTES_LENGTH = 500;
+const MAX_AMOUNT = 9999999999.99;
+const MAX_IMPORT_ROWS = 1000;
 
 // Validate employee ID is a positive integer
 function isValidId(id) {
@@ -16,6 +28,15 @@ function isValidId(id) {
   return !isNaN(num) && num > 0;
 }
 
+// Validate date format (YYYY-MM-DD)
+function isValidDate(dateStr) {
+  if (!dateStr) return false;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(dateStr)) return false;
+  const date = new Date(dateStr);
+  return date instanceof Date && !isNaN(date);
+}
+
 // Validate name field
 function validateName(name, fieldName) {
   if (!name || name.trim().length === 0) {
@@ -45,22 +66,91 @@ function validateWage(wage) {
   return null;
 }
 
-// Format currency as COP
-function formatCOP(amount) {
-  return new Intl.NumberFormat('es-CO', {
-    style: 'currency',
-    currency: 'COP',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount || 0);
+// Validate a required positive money amount
+function validateAmount(amount, fieldName) {
+  if (amount === undefined || amount === null || amount === '') {
+    return `${fieldName} is required`;
+  }
+  const num = parseFloat(amount);
+  if (isNaN(num) || num <= 0) {
+    return `${fieldName} must be a positive number`;
+  }
+  if (num > MAX_AMOUNT) {
+    return `${fieldName} exceeds maximum allowed value`;
+  }
+  return null;
 }
 
-// List all employees
-router.get('/', async (req, res) => {
+// Columns of the employee CSV export, also accepted by the import
+const EMPLOYEE_CSV_COLUMNS = [
+  { header: 'id', value: emp => emp.id },
+  { header: 'first_name', value: emp => emp.first_name },
+  { header: 'last_name', value: emp => emp.last_name },
+  { header: 'daily_wage', value: emp => parseFloat(emp.daily_wage) || 0 },
+  { header: 'active', value: emp => (emp.active ? 'yes' : 'no') }
+];
+
+// Parse an "active" cell: empty means active
+function parseActive(value) {
+  const text = (value || '').trim().toLowerCase();
+  if (['', 'yes', 'y', 'true', '1', 'si', 'sí'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+}
+
+// Validate an employee CSV and decide what happens to each row: 'create', 'skip' (an employee
+// with the same name exists or the name repeats in the file) or 'error'.
+// Returns { error } or { rows: [{ line, status, label, message, employee }] }.
+async function planEmployeeImport(text, db = pool) {
+  const parsed = parseCSVWithHeaders(text, { requiredHeaders: ['first_name', 'last_name'] });
+  if (parsed.error) return parsed;
+  if (parsed.rows.length === 0) return { error: 'The file has no rows below the header' };
+  if (parsed.rows.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+
+  const existing = await db.query('SELECT LOWER(first_name) AS first_name, LOWER(last_name) AS last_name FROM employees');
+  const seen = new Set(existing.rows.map(emp => `${emp.first_name}|${emp.last_name}`));
+
+  const rows = parsed.rows.map(({ line, values }) => {
+    const { first_name, last_name, daily_wage } = values;
+    const label = `${first_name} ${last_name}`.trim();
+    const error = validateName(first_name, 'First name') ||
+      validateName(last_name, 'Last name') ||
+      validateWage(daily_wage);
+    if (error) return { line, status: 'error', label, message: error };
+
+    const active = parseActive(values.active);
+    if (active === null) return { line, status: 'error', label, message: 'Active must be yes or no' };
+
+    const key = `${first_name.toLowerCase()}|${last_name.toLowerCase()}`;
+    if (seen.has(key)) return { line, status: 'skip', label, message: 'An employee with this name already exists' };
+    seen.add(key);
+
+    return {
+      line,
+      status: 'create',
+      label,
+      message: `Daily wage $${formatCOP(parseFloat(daily_wage) || 0)} COP${active ? '' : ', inactive'}`,
+      employee: { first_name, last_name, daily_wage: parseFloat(daily_wage) || 0, active }
+    };
+  });
+  return { rows };
+}
+
+// List all employees, or download them as CSV with ?format=csv
+router.get('/', requirePermission('employees.view'), async (req, res) => {
   try {
+    // Show the wage in force today
     const result = await pool.query(
-      'SELECT * FROM employees ORDER BY active DESC, first_name ASC'
+      `SELECT id, first_name, last_name, active, created_at, employee_wage_on(id, $1::date) AS daily_wage
+       FROM employees ORDER BY active DESC, first_name ASC`,
+      [getBusinessDate()]
     );
+
+    if (req.query.format === 'csv') {
+      res.attachment(`employees-${getBusinessDate()}.csv`);
+      return res.type('text/csv').send(toCSV(EMPLOYEE_CSV_COLUMNS, result.rows));
+    }
+
     // Get success message from query params (set via redirect)
     const success = req.query.success || null;
     res.render('employees/index', { employees: result.rows, success });
@@ -76,12 +166,95 @@ router.get('/', async (req, res) => {
 });
 
 // New employee form
-router.get('/new', (req, res) => {
+router.get('/new', requirePermission('employees.manage'), (req, res) => {
   res.render('employees/new', { error: null, formData: {} });
 });
 
+// CSV import form
+router.get('/import', requirePermission('employees.manage'), (req, res) => {
+  res.render('employees/import', { csv: '', plan: null, error: null });
+});
+
+// Preview a CSV import, or with confirm=1 create every valid new employee in one transaction.
+// Nothing is imported while any row has an error.
+router.post('/import', requirePermission('employees.manage'), async (req, res) => {
+  const csv = req.body.csv || '';
+  const renderImport = (plan, error = null) =>
+    res.status(error ? 400 : 200).render('employees/import', { csv, plan, error });
+
+  let plan;
+  try {
+    plan = await planEmployeeImport(csv);
+  } catch (error) {
+    console.error('Error previewing employee import:', error);
+    return renderImport(null, 'Unable to read the file. Please try again.');
+  }
+  if (plan.error) {
+    return renderImport(null, plan.error);
+  }
+
+  const toCreate = plan.rows.filter(row => row.status === 'create');
+  if (req.body.confirm !== '1') {
+    return renderImport(plan);
+  }
+  if (plan.rows.some(row => row.status === 'error')) {
+    return renderImport(plan, 'Fix the rows with errors and preview the file again before importing.');
+  }
+  if (toCreate.length === 0) {
+    return renderImport(plan, 'There are no new employees to import.');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Re-check names inside the transaction in case employees were added since the preview
+    const current = await planEmployeeImport(csv, client);
+    const rows = current.rows.filter(row => row.status === 'create');
+
+    for (const row of rows) {
+      const inserted = await client.query(
+        'INSERT INTO employees (first_name, last_name, daily_wage, active) VALUES ($1, $2, $3, $4) RETURNING *',
+        [row.employee.first_name, row.employee.last_name, row.employee.daily_wage, row.employee.active]
+      );
+      const employee = inserted.rows[0];
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'employee',
+        entityId: employee.id,
+        employeeId: employee.id,
+        action: 'create',
+        after: employee
+      });
+
+      const wage = await client.query(
+        `INSERT INTO employee_wages (employee_id, daily_wage, effective_from, created_by)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [employee.id, employee.daily_wage, getBusinessDate(), req.user.id]
+      );
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'employee_wage',
+        entityId: wage.rows[0].id,
+        employeeId: employee.id,
+        action: 'create',
+        after: wage.rows[0]
+      });
+    }
+
+    await client.query('COMMIT');
+    res.redirect('/employees?success=' + encodeURIComponent(`${rows.length} employee(s) imported`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error importing employees:', error);
+    renderImport(plan, 'Unable to import employees. Nothing was imported.');
+  } finally {
+    client.release();
+  }
+});
+
 // Create employee
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('employees.manage'), async (req, res) => {
   const { first_name, last_name, daily_wage } = req.body;
 
   // Validate inputs
@@ -110,10 +283,44 @@ router.post('/', async (req, res) => {
   }
 
   try {
-    await pool.query(
-      'INSERT INTO employees (first_name, last_name, daily_wage) VALUES ($1, $2, $3)',
-      [first_name.trim(), last_name.trim(), parseFloat(daily_wage) || 0]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(
+        'INSERT INTO employees (first_name, last_name, daily_wage) VALUES ($1, $2, $3) RETURNING *',
+        [first_name.trim(), last_name.trim(), parseFloat(daily_wage) || 0]
+      );
+      const employee = inserted.rows[0];
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'employee',
+        entityId: employee.id,
+        employeeId: employee.id,
+        action: 'create',
+        after: employee
+      });
+
+      // The starting wage opens the employee's wage history
+      const wage = await client.query(
+        `INSERT INTO employee_wages (employee_id, daily_wage, effective_from, created_by)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [employee.id, employee.daily_wage, getBusinessDate(), req.user.id]
+      );
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'employee_wage',
+        entityId: wage.rows[0].id,
+        employeeId: employee.id,
+        action: 'create',
+        after: wage.rows[0]
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
     res.redirect('/employees?success=' + encodeURIComponent('Employee added successfully'));
   } catch (error) {
     console.error('Error creating employee:', error);
@@ -125,7 +332,7 @@ router.post('/', async (req, res) => {
 });
 
 // Edit employee form
-router.get('/:id/edit', async (req, res) => {
+router.get('/:id/edit', requirePermission('employees.manage'), async (req, res) => {
   if (!isValidId(req.params.id)) {
     return res.status(400).render('error', {
       title: 'Invalid Request',
@@ -147,7 +354,15 @@ router.get('/:id/edit', async (req, res) => {
       });
     }
 
-    res.render('employees/edit', { employee: result.rows[0], error: null, formData: null });
+    res.render('employees/edit', {
+      employee: result.rows[0],
+      wages: await getWageHistory(req.params.id),
+      today: getBusinessDate(),
+      error: null,
+      formData: null,
+      wageError: null,
+      success: req.query.success || null
+    });
   } catch (error) {
     console.error('Error fetching employee:', error);
     res.status(500).render('error', {
@@ -160,8 +375,8 @@ router.get('/:id/edit', async (req, res) => {
 });
 
 // Update employee
-router.post('/:id', async (req, res) => {
-  const { first_name, last_name, daily_wage, active } = req.body;
+router.post('/:id', requirePermission('employees.manage'), async (req, res) => {
+  const { first_name, last_name, active } = req.body;
   const id = req.params.id;
 
   if (!isValidId(id)) {
@@ -175,6 +390,7 @@ router.post('/:id', async (req, res) => {
 
   // Fetch current employee data for error fallback
   let currentEmployee;
+  let wages;
   try {
     const result = await pool.query('SELECT * FROM employees WHERE id = $1', [id]);
     if (result.rows.length === 0) {
@@ -186,6 +402,7 @@ router.post('/:id', async (req, res) => {
       });
     }
     currentEmployee = result.rows[0];
+    wages = await getWageHistory(id);
   } catch (error) {
     console.error('Error fetching employee:', error);
     return res.status(500).render('error', {
@@ -196,52 +413,710 @@ router.post('/:id', async (req, res) => {
     });
   }
 
+  const renderError = error => res.render('employees/edit', {
+    employee: currentEmployee,
+    wages,
+    today: getBusinessDate(),
+    error,
+    formData: { first_name, last_name, active: active === 'on' },
+    wageError: null,
+    success: null
+  });
+
   // Validate inputs
   const firstNameError = validateName(first_name, 'First name');
   if (firstNameError) {
-    return res.render('employees/edit', {
-      employee: currentEmployee,
-      error: firstNameError,
-      formData: { first_name, last_name, daily_wage, active: active === 'on' }
-    });
+    return renderError(firstNameError);
   }
 
   const lastNameError = validateName(last_name, 'Last name');
   if (lastNameError) {
-    return res.render('employees/edit', {
-      employee: currentEmployee,
-      error: lastNameError,
-      formData: { first_name, last_name, daily_wage, active: active === 'on' }
+    return renderError(lastNameError);
+  }
+
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const before = await client.query('SELECT * FROM employees WHERE id = $1 FOR UPDATE', [id]);
+      const updated = await client.query(
+        'UPDATE employees SET first_name = $1, last_name = $2, active = $3 WHERE id = $4 RETURNING *',
+        [first_name.trim(), last_name.trim(), active === 'on', id]
+      );
+      if (updated.rows.length > 0) {
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'employee',
+          entityId: updated.rows[0].id,
+          employeeId: updated.rows[0].id,
+          action: 'update',
+          before: before.rows[0],
+          after: updated.rows[0]
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.redirect('/employees?success=' + encodeURIComponent('Employee updated successfully'));
+  } catch (error) {
+    console.error('Error updating employee:', error);
+    renderError('Unable to update employee. Please try again.');
+  }
+});
+
+// Set the wage in force from a date. A change on a date that already has an entry replaces it.
+// Records already entered keep their wage until recalculated from the records page.
+router.post('/:id/wages', requirePermission('employees.manage'), async (req, res) => {
+  const { daily_wage, effective_from } = req.body;
+  const id = req.params.id;
+
+  if (!isValidId(id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid employee ID.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+
+  let employee;
+  try {
+    const result = await pool.query('SELECT * FROM employees WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Employee not found. They may have been deleted.',
+        backLink: '/employees',
+        backText: 'Back to Employees'
+      });
+    }
+    employee = result.rows[0];
+  } catch (error) {
+    console.error('Error fetching employee:', error);
+    return res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load employee. Please try again.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
     });
   }
 
+  const renderWageError = async wageError => {
+    try {
+      res.render('employees/edit', {
+        employee,
+        wages: await getWageHistory(id),
+        today: getBusinessDate(),
+        error: null,
+        formData: null,
+        wageError,
+        wageFormData: { daily_wage, effective_from },
+        success: null
+      });
+    } catch (error) {
+      console.error('Error loading wage history:', error);
+      res.status(500).render('error', {
+        title: 'Error',
+        message: wageError,
+        backLink: `/employees/${id}/edit`,
+        backText: 'Back to Employee'
+      });
+    }
+  };
+
+  if (daily_wage === undefined || daily_wage === '') {
+    return renderWageError('Please enter the daily wage');
+  }
   const wageError = validateWage(daily_wage);
   if (wageError) {
-    return res.render('employees/edit', {
-      employee: currentEmployee,
-      error: wageError,
-      formData: { first_name, last_name, daily_wage, active: active === 'on' }
+    return renderWageError(wageError);
+  }
+  if (!isValidDate(effective_from)) {
+    return renderWageError('Please enter a valid effective date');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM employee_wages WHERE employee_id = $1 AND effective_from = $2 FOR UPDATE',
+      [id, effective_from]
+    );
+
+    let wage;
+    if (existing.rows.length > 0) {
+      const updated = await client.query(
+        'UPDATE employee_wages SET daily_wage = $1, created_by = $2, created_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+        [parseFloat(daily_wage), req.user.id, existing.rows[0].id]
+      );
+      wage = updated.rows[0];
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'employee_wage',
+        entityId: wage.id,
+        employeeId: employee.id,
+        action: 'update',
+        before: existing.rows[0],
+        after: wage
+      });
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO employee_wages (employee_id, daily_wage, effective_from, created_by)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [id, parseFloat(daily_wage), effective_from, req.user.id]
+      );
+      wage = inserted.rows[0];
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'employee_wage',
+        entityId: wage.id,
+        employeeId: employee.id,
+        action: 'create',
+        after: wage
+      });
+    }
+
+    await client.query('COMMIT');
+    res.redirect(`/employees/${id}/edit?success=` + encodeURIComponent(`Wage effective ${effective_from} saved`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving wage:', error);
+    renderWageError('Unable to save wage. Please try again.');
+  } finally {
+    client.release();
+  }
+});
+
+// Remove a wage history entry (the last remaining entry can't be removed)
+router.post('/:id/wages/:wageId/delete', requirePermission('employees.manage'), async (req, res) => {
+  const { id, wageId } = req.params;
+
+  if (!isValidId(id) || !isValidId(wageId)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid wage entry.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
     });
   }
 
+  const client = await pool.connect();
   try {
-    await pool.query(
-      'UPDATE employees SET first_name = $1, last_name = $2, daily_wage = $3, active = $4 WHERE id = $5',
-      [first_name.trim(), last_name.trim(), parseFloat(daily_wage) || 0, active === 'on', id]
+    await client.query('BEGIN');
+
+    // Lock the employee's history so two removals can't leave it empty
+    const history = await client.query(
+      'SELECT * FROM employee_wages WHERE employee_id = $1 FOR UPDATE',
+      [id]
     );
-    res.redirect('/employees?success=' + encodeURIComponent('Employee updated successfully'));
+    const wage = history.rows.find(row => String(row.id) === String(wageId));
+
+    if (!wage) {
+      await client.query('ROLLBACK');
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Wage entry not found. It may have already been removed.',
+        backLink: `/employees/${id}/edit`,
+        backText: 'Back to Employee'
+      });
+    }
+    if (history.rows.length === 1) {
+      await client.query('ROLLBACK');
+      return res.status(400).render('error', {
+        title: 'Cannot Remove Wage',
+        message: 'An employee needs at least one wage. Add the correct wage before removing this one.',
+        backLink: `/employees/${id}/edit`,
+        backText: 'Back to Employee'
+      });
+    }
+
+    await client.query('DELETE FROM employee_wages WHERE id = $1', [wage.id]);
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'employee_wage',
+      entityId: wage.id,
+      employeeId: wage.employee_id,
+      action: 'delete',
+      before: wage
+    });
+
+    await client.query('COMMIT');
+    res.redirect(`/employees/${id}/edit?success=` + encodeURIComponent('Wage entry removed'));
   } catch (error) {
-    console.error('Error updating employee:', error);
-    res.render('employees/edit', {
-      employee: currentEmployee,
-      error: 'Unable to update employee. Please try again.',
-      formData: { first_name, last_name, daily_wage, active: active === 'on' }
+    await client.query('ROLLBACK');
+    console.error('Error removing wage:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to remove wage entry. Please try again.',
+      backLink: `/employees/${id}/edit`,
+      backText: 'Back to Employee'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Date range shown on the ledger: the one requested, otherwise the current pay range
+async function resolveLedgerRange({ start_date, end_date }) {
+  if (isValidDate(start_date) && isValidDate(end_date) && start_date <= end_date) {
+    return { startDate: start_date, endDate: end_date };
+  }
+  return getCurrentPayRange();
+}
+
+function ledgerUrl(employeeId, range) {
+  return `/employees/${employeeId}/ledger?start_date=${range.startDate}&end_date=${range.endDate}`;
+}
+
+async function renderLedger(req, res, { employee, range, adjustmentError = null, adjustmentFormData = null, loanError = null, loanFormData = null, status = 200 }) {
+  const [adjustments, loans, summary] = await Promise.all([
+    getAdjustments(employee.id, range.startDate, range.endDate),
+    getLoans(employee.id),
+    getPeriodSummary(range.startDate, range.endDate, employee.id)
+  ]);
+
+  res.status(status).render('employees/ledger', {
+    employee,
+    range,
+    adjustments,
+    loans,
+    totals: summary[0] || { gross: 0, deductions: 0, bonuses: 0, net: 0, days_worked: 0 },
+    adjustmentTypes: ADJUSTMENT_TYPES,
+    today: getBusinessDate(),
+    success: req.query.success || null,
+    adjustmentError,
+    adjustmentFormData: adjustmentFormData || {},
+    loanError,
+    loanFormData: loanFormData || {}
+  });
+}
+
+// Load the employee named in the URL, or render the error and return null
+async function loadLedgerEmployee(req, res) {
+  if (!isValidId(req.params.id)) {
+    res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid employee ID.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+    return null;
+  }
+
+  const result = await pool.query('SELECT * FROM employees WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0) {
+    res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Employee not found. They may have been deleted.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// Employee ledger: gross pay, adjustments and net payable for a date range, plus loans
+router.get('/:id/ledger', requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const employee = await loadLedgerEmployee(req, res);
+    if (!employee) return;
+
+    await renderLedger(req, res, { employee, range: await resolveLedgerRange(req.query) });
+  } catch (error) {
+    console.error('Error loading ledger:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the ledger. Please try again.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+});
+
+// Printable payslip for a date range (the current pay period by default), or a PDF with ?format=pdf
+router.get('/:id/payslip', requirePermission('payslips.view'), async (req, res) => {
+  try {
+    const employee = await loadLedgerEmployee(req, res);
+    if (!employee) return;
+
+    const range = await resolveLedgerRange(req.query);
+    const payslips = await getPayslips({ ...range, employeeId: employee.id });
+    const payslipUrl = `/employees/${employee.id}/payslip?start_date=${range.startDate}&end_date=${range.endDate}`;
+
+    if (req.query.format === 'pdf' && payslips.length > 0) {
+      const pdf = await renderPayslipsPDF(payslips, range);
+      res.attachment(`payslip-${employee.id}-${range.startDate}-${range.endDate}.pdf`);
+      return res.type('application/pdf').send(pdf);
+    }
+
+    res.render('payslips/print', {
+      payslips,
+      range,
+      companyName: getCompanyName(),
+      pdfUrl: `${payslipUrl}&format=pdf`,
+      backLink: ledgerUrl(employee.id, range),
+      backText: 'Back to Ledger',
+      section: 'employees',
+      adjustmentTypes: ADJUSTMENT_TYPES,
+      describeQuantity
+    });
+  } catch (error) {
+    console.error('Error loading payslip:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the payslip. Please try again.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+});
+
+// Record an advance, loan installment, deduction or bonus
+router.post('/:id/adjustments', requirePermission('ledger.manage'), async (req, res) => {
+  let employee;
+  let range;
+  try {
+    employee = await loadLedgerEmployee(req, res);
+    if (!employee) return;
+    range = await resolveLedgerRange(req.body);
+  } catch (error) {
+    console.error('Error loading ledger:', error);
+    return res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the ledger. Please try again.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+
+  const { adjustment_date, adjustment_type, amount, loan_id } = req.body;
+  const notes = (req.body.notes || '').trim();
+  const adjustmentFormData = { adjustment_date, adjustment_type, amount, loan_id, notes };
+  const renderAdjustmentError = async adjustmentError => {
+    try {
+      await renderLedger(req, res, { employee, range, adjustmentError, adjustmentFormData, status: 400 });
+    } catch (error) {
+      console.error('Error loading ledger:', error);
+      res.status(500).render('error', {
+        title: 'Error',
+        message: adjustmentError,
+        backLink: ledgerUrl(employee.id, range),
+        backText: 'Back to Ledger'
+      });
+    }
+  };
+
+  if (!isValidDate(adjustment_date)) {
+    return renderAdjustmentError('Please enter a valid date');
+  }
+  if (!ADJUSTMENT_TYPES[adjustment_type]) {
+    return renderAdjustmentError('Please choose the type of adjustment');
+  }
+  const amountError = validateAmount(amount, 'Amount');
+  if (amountError) {
+    return renderAdjustmentError(amountError);
+  }
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return renderAdjustmentError(`Notes must be ${MAX_NOTES_LENGTH} characters or less`);
+  }
+  const isInstallment = adjustment_type === 'loan_installment';
+  if (isInstallment && !isValidId(loan_id)) {
+    return renderAdjustmentError('Please choose the loan this installment repays');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const closedPeriod = await findClosedPeriod(adjustment_date, client);
+    if (closedPeriod) {
+      await client.query('ROLLBACK');
+      return renderAdjustmentError(`${adjustment_date} is in the closed pay period "${closedPeriod.name}"`);
+    }
+
+    if (isInstallment) {
+      // Lock the loan so two installments can't overdraw it
+      const loan = await client.query(
+        'SELECT * FROM employee_loans WHERE id = $1 AND employee_id = $2 FOR UPDATE',
+        [loan_id, employee.id]
+      );
+      if (loan.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return renderAdjustmentError('Loan not found. It may have been removed.');
+      }
+      if (adjustment_date < toDateString(loan.rows[0].loan_date)) {
+        await client.query('ROLLBACK');
+        return renderAdjustmentError('An installment cannot be dated before the loan');
+      }
+      const balance = await getLoanBalance(loan_id, client);
+      if (parseFloat(amount) > balance) {
+        await client.query('ROLLBACK');
+        return renderAdjustmentError(`The installment is more than the outstanding balance of $${formatCOP(balance)} COP`);
+      }
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO employee_adjustments (employee_id, adjustment_date, adjustment_type, amount, loan_id, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [employee.id, adjustment_date, adjustment_type, parseFloat(amount), isInstallment ? loan_id : null, notes || null, req.user.id]
+    );
+    const adjustment = inserted.rows[0];
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'adjustment',
+      entityId: adjustment.id,
+      employeeId: employee.id,
+      action: 'create',
+      after: adjustment
+    });
+
+    await client.query('COMMIT');
+    res.redirect(ledgerUrl(employee.id, range) + '&success=' +
+      encodeURIComponent(`${ADJUSTMENT_TYPES[adjustment_type].label} of $${formatCOP(amount)} COP recorded`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving adjustment:', error);
+    renderAdjustmentError('Unable to save the adjustment. Please try again.');
+  } finally {
+    client.release();
+  }
+});
+
+// Remove an adjustment (not in closed pay periods). Removing a loan installment
+// puts the amount back on the loan's balance.
+router.post('/:id/adjustments/:adjustmentId/delete', requirePermission('ledger.manage'), async (req, res) => {
+  const { id, adjustmentId } = req.params;
+
+  if (!isValidId(id) || !isValidId(adjustmentId)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid adjustment.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM employee_adjustments WHERE id = $1 AND employee_id = $2 FOR UPDATE',
+      [adjustmentId, id]
+    );
+    const adjustment = existing.rows[0];
+    if (!adjustment) {
+      await client.query('ROLLBACK');
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Adjustment not found. It may have already been removed.',
+        backLink: `/employees/${id}/ledger`,
+        backText: 'Back to Ledger'
+      });
+    }
+
+    const closedPeriod = await findClosedPeriod(adjustment.adjustment_date, client);
+    if (closedPeriod) {
+      await client.query('ROLLBACK');
+      return res.status(403).render('error', {
+        title: 'Pay Period Closed',
+        message: `This adjustment is in the closed pay period "${closedPeriod.name}". Reopen the period to remove it.`,
+        backLink: `/employees/${id}/ledger`,
+        backText: 'Back to Ledger'
+      });
+    }
+
+    await client.query('DELETE FROM employee_adjustments WHERE id = $1', [adjustment.id]);
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'adjustment',
+      entityId: adjustment.id,
+      employeeId: adjustment.employee_id,
+      action: 'delete',
+      before: adjustment
     });
+
+    await client.query('COMMIT');
+    const range = await resolveLedgerRange(req.body);
+    res.redirect(ledgerUrl(id, range) + '&success=' + encodeURIComponent('Adjustment removed'));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error removing adjustment:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to remove the adjustment. Please try again.',
+      backLink: `/employees/${id}/ledger`,
+      backText: 'Back to Ledger'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Record a loan. Installments are entered on the ledger or applied per pay period.
+router.post('/:id/loans', requirePermission('ledger.manage'), async (req, res) => {
+  let employee;
+  let range;
+  try {
+    employee = await loadLedgerEmployee(req, res);
+    if (!employee) return;
+    range = await resolveLedgerRange(req.body);
+  } catch (error) {
+    console.error('Error loading ledger:', error);
+    return res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the ledger. Please try again.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+
+  const { loan_date, principal, installment_amount } = req.body;
+  const notes = (req.body.notes || '').trim();
+  const loanFormData = { loan_date, principal, installment_amount, notes };
+  const renderLoanError = async loanError => {
+    try {
+      await renderLedger(req, res, { employee, range, loanError, loanFormData, status: 400 });
+    } catch (error) {
+      console.error('Error loading ledger:', error);
+      res.status(500).render('error', {
+        title: 'Error',
+        message: loanError,
+        backLink: ledgerUrl(employee.id, range),
+        backText: 'Back to Ledger'
+      });
+    }
+  };
+
+  if (!isValidDate(loan_date)) {
+    return renderLoanError('Please enter a valid loan date');
+  }
+  const principalError = validateAmount(principal, 'Loan amount');
+  if (principalError) {
+    return renderLoanError(principalError);
+  }
+  const hasInstallment = installment_amount !== undefined && installment_amount !== '';
+  if (hasInstallment) {
+    const installmentError = validateAmount(installment_amount, 'Installment');
+    if (installmentError) {
+      return renderLoanError(installmentError);
+    }
+    if (parseFloat(installment_amount) > parseFloat(principal)) {
+      return renderLoanError('The installment cannot be more than the loan amount');
+    }
+  }
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return renderLoanError(`Notes must be ${MAX_NOTES_LENGTH} characters or less`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(
+      `INSERT INTO employee_loans (employee_id, loan_date, principal, installment_amount, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [employee.id, loan_date, parseFloat(principal), hasInstallment ? parseFloat(installment_amount) : null, notes || null, req.user.id]
+    );
+    const loan = inserted.rows[0];
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'loan',
+      entityId: loan.id,
+      employeeId: employee.id,
+      action: 'create',
+      after: loan
+    });
+    await client.query('COMMIT');
+    res.redirect(ledgerUrl(employee.id, range) + '&success=' + encodeURIComponent(`Loan of $${formatCOP(principal)} COP recorded`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving loan:', error);
+    renderLoanError('Unable to save the loan. Please try again.');
+  } finally {
+    client.release();
+  }
+});
+
+// Remove a loan that has no installments recorded against it
+router.post('/:id/loans/:loanId/delete', requirePermission('ledger.manage'), async (req, res) => {
+  const { id, loanId } = req.params;
+
+  if (!isValidId(id) || !isValidId(loanId)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid loan.',
+      backLink: '/employees',
+      backText: 'Back to Employees'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM employee_loans WHERE id = $1 AND employee_id = $2 FOR UPDATE',
+      [loanId, id]
+    );
+    const loan = existing.rows[0];
+    if (!loan) {
+      await client.query('ROLLBACK');
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Loan not found. It may have already been removed.',
+        backLink: `/employees/${id}/ledger`,
+        backText: 'Back to Ledger'
+      });
+    }
+
+    const installments = await client.query('SELECT 1 FROM employee_adjustments WHERE loan_id = $1 LIMIT 1', [loan.id]);
+    if (installments.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).render('error', {
+        title: 'Cannot Remove Loan',
+        message: 'This loan has installments recorded against it. Remove the installments before removing the loan.',
+        backLink: `/employees/${id}/ledger`,
+        backText: 'Back to Ledger'
+      });
+    }
+
+    await client.query('DELETE FROM employee_loans WHERE id = $1', [loan.id]);
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'loan',
+      entityId: loan.id,
+      employeeId: loan.employee_id,
+      action: 'delete',
+      before: loan
+    });
+
+    await client.query('COMMIT');
+    const range = await resolveLedgerRange(req.body);
+    res.redirect(ledgerUrl(id, range) + '&success=' + encodeURIComponent('Loan removed'));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error removing loan:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to remove the loan. Please try again.',
+      backLink: `/employees/${id}/ledger`,
+      backText: 'Back to Ledger'
+    });
+  } finally {
+    client.release();
   }
 });
 
 // Deactivate employee
-router.post('/:id/deactivate', async (req, res) => {
+router.post('/:id/deactivate', requirePermission('employees.manage'), async (req, res) => {
   if (!isValidId(req.params.id)) {
     return res.status(400).render('error', {
       title: 'Invalid Request',
@@ -252,10 +1127,30 @@ router.post('/:id/deactivate', async (req, res) => {
   }
 
   try {
-    const result = await pool.query(
-      'UPDATE employees SET active = false WHERE id = $1 RETURNING first_name, last_name',
-      [req.params.id]
-    );
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      const before = await client.query('SELECT * FROM employees WHERE id = $1 FOR UPDATE', [req.params.id]);
+      result = await client.query('UPDATE employees SET active = false WHERE id = $1 RETURNING *', [req.params.id]);
+      if (result.rows.length > 0) {
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'employee',
+          entityId: result.rows[0].id,
+          employeeId: result.rows[0].id,
+          action: 'update',
+          before: before.rows[0],
+          after: result.rows[0]
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     if (result.rows.length === 0) {
       return res.status(404).render('error', {
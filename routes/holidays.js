@@ -0,0 +1,174 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { getBusinessDate } = require('../services/dateService');
+const {
+  getColombianHolidays,
+  getHolidaySurchargeMultiplier,
+  getClosureDays,
+  getEmailSkipSettings,
+  saveEmailSkipSettings
+} = require('../services/holidayService');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const MAX_CLOSURE_NAME_LENGTH = 100;
+
+// Validate ID is a positive integer
+function isValidId(id) {
+  const num = parseInt(id, 10);
+  return !isNaN(num) && num > 0;
+}
+
+// Validate date format (YYYY-MM-DD)
+function isValidDate(dateStr) {
+  if (!dateStr) return false;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(dateStr)) return false;
+  const date = new Date(dateStr);
+  return date instanceof Date && !isNaN(date);
+}
+
+// Year shown on the calendar page: the query year if sensible, otherwise the current one
+function parseYear(value) {
+  const year = parseInt(value, 10);
+  return !isNaN(year) && year >= 1900 && year <= 2999 ? year : parseInt(getBusinessDate().substring(0, 4), 10);
+}
+
+async function renderCalendar(req, res, { year, error = null, formData = null, status = 200 }) {
+  const [closures, emailSettings] = await Promise.all([
+    getClosureDays(year),
+    getEmailSkipSettings()
+  ]);
+
+  res.status(status).render('holidays/index', {
+    year,
+    holidays: getColombianHolidays(year),
+    closures,
+    emailSettings,
+    surchargeMultiplier: getHolidaySurchargeMultiplier(),
+    today: getBusinessDate(),
+    success: req.query.success || null,
+    error,
+    formData: formData || {}
+  });
+}
+
+// Public holidays and closure days for a year, with the email settings
+router.get('/', requirePermission('holidays.view'), async (req, res) => {
+  try {
+    await renderCalendar(req, res, { year: parseYear(req.query.year) });
+  } catch (error) {
+    console.error('Error loading holidays:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the holiday calendar. Please try again.',
+      backLink: '/periods',
+      backText: 'Back to Pay Periods'
+    });
+  }
+});
+
+// Add a closure day
+router.post('/closures', requirePermission('holidays.manage'), async (req, res) => {
+  const closureDate = req.body.closure_date;
+  const name = (req.body.name || '').trim();
+  const holidaySurcharge = req.body.holiday_surcharge === 'on';
+  const formData = { closure_date: closureDate, name, holiday_surcharge: holidaySurcharge };
+  const year = isValidDate(closureDate) ? parseInt(closureDate.substring(0, 4), 10) : parseYear();
+
+  const renderError = error => renderCalendar(req, res, { year, error, formData, status: 400 });
+
+  if (!isValidDate(closureDate)) {
+    return renderError('Please enter a valid date');
+  }
+
+  if (!name) {
+    return renderError('Please give the closure day a name');
+  }
+
+  if (name.length > MAX_CLOSURE_NAME_LENGTH) {
+    return renderError(`Name must be ${MAX_CLOSURE_NAME_LENGTH} characters or less`);
+  }
+
+  try {
+    const inserted = await pool.query(
+      `INSERT INTO closure_days (closure_date, name, holiday_surcharge, created_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (closure_date) DO NOTHING
+       RETURNING id`,
+      [closureDate, name, holidaySurcharge, req.user.id]
+    );
+    if (inserted.rows.length === 0) {
+      return renderError(`${closureDate} is already a closure day`);
+    }
+
+    res.redirect(`/holidays?year=${year}&success=` + encodeURIComponent(`Closure day ${closureDate} added`));
+  } catch (error) {
+    console.error('Error adding closure day:', error);
+    renderError('Unable to add the closure day. Please try again.');
+  }
+});
+
+// Remove a closure day
+router.post('/closures/:id/delete', requirePermission('holidays.manage'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid closure day ID.',
+      backLink: '/holidays',
+      backText: 'Back to Holidays'
+    });
+  }
+
+  try {
+    const deleted = await pool.query(
+      'DELETE FROM closure_days WHERE id = $1 RETURNING closure_date',
+      [req.params.id]
+    );
+    if (deleted.rows.length === 0) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Closure day not found.',
+        backLink: '/holidays',
+        backText: 'Back to Holidays'
+      });
+    }
+
+    const year = deleted.rows[0].closure_date.getFullYear();
+    res.redirect(`/holidays?year=${year}&success=` + encodeURIComponent('Closure day removed'));
+  } catch (error) {
+    console.error('Error removing closure day:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to remove the closure day. Please try again.',
+      backLink: '/holidays',
+      backText: 'Back to Holidays'
+    });
+  }
+});
+
+// Choose which days the scheduled daily email skips
+router.post('/settings', requirePermission('holidays.manage'), async (req, res) => {
+  const year = parseYear(req.body.year);
+
+  try {
+    await saveEmailSkipSettings({
+      skipHolidays: req.body.skip_holidays === 'on',
+      skipSundays: req.body.skip_sundays === 'on'
+    }, req.user.id);
+    res.redirect(`/holidays?year=${year}&success=` + encodeURIComponent('Email settings saved'));
+  } catch (error) {
+    console.error('Error saving holiday email settings:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to save the settings. Please try again.',
+      backLink: '/holidays',
+      backText: 'Back to Holidays'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { actorFromRequest } = require('../services/auditService');
+const { getBusinessDate } = require('../services/dateService');
+const { getCurrentPayRange } = require('../services/payPeriodService');
+const { formatCOP } = require('../services/formatService');
+const { describeQuantity } = require('../services/workQuantityService');
+const {
+  PAYMENT_METHODS,
+  getUnpaidByEmployee,
+  createPaymentBatch,
+  voidPaymentBatch
+} = require('../services/paymentService');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const MAX_REFERENCE_LENGTH = 100;
+
+// Validate ID is a positive integer
+function isValidId(id) {
+  const num = parseInt(id, 10);
+  return !isNaN(num) && num > 0;
+}
+
+// Validate date format (YYYY-MM-DD)
+function isValidDate(dateStr) {
+  if (!dateStr) return false;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(dateStr)) return false;
+  const date = new Date(dateStr);
+  return date instanceof Date && !isNaN(date);
+}
+
+// Range a new batch covers: the one requested, otherwise the current pay range
+async function resolveRange({ start_date, end_date }) {
+  if (isValidDate(start_date) && isValidDate(end_date) && start_date <= end_date) {
+    return { startDate: start_date, endDate: end_date };
+  }
+  return getCurrentPayRange();
+}
+
+function renderInvalidId(res) {
+  return res.status(400).render('error', {
+    title: 'Invalid Request',
+    message: 'Invalid payment batch ID.',
+    backLink: '/payments',
+    backText: 'Back to Payments'
+  });
+}
+
+function renderNotFound(res) {
+  return res.status(404).render('error', {
+    title: 'Not Found',
+    message: 'Payment batch not found. It may have been voided.',
+    backLink: '/payments',
+    backText: 'Back to Payments'
+  });
+}
+
+async function renderNewBatch(req, res, { range, error = null, formData = null, status = 200 }) {
+  res.status(status).render('payments/new', {
+    range,
+    unpaid: await getUnpaidByEmployee(range.startDate, range.endDate),
+    methods: PAYMENT_METHODS,
+    today: getBusinessDate(),
+    error,
+    formData,
+    formatCOP
+  });
+}
+
+// List payment batches, newest first
+router.get('/', requirePermission('payments.view'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT pb.*, u.username AS created_by_username,
+             (SELECT COUNT(DISTINCT wr.employee_id) FROM work_records wr WHERE wr.payment_batch_id = pb.id) AS employee_count
+      FROM payment_batches pb
+      LEFT JOIN users u ON pb.created_by = u.id
+      ORDER BY pb.payment_date DESC, pb.id DESC
+    `);
+
+    res.render('payments/index', {
+      batches: result.rows,
+      methods: PAYMENT_METHODS,
+      success: req.query.success || null,
+      formatCOP
+    });
+  } catch (error) {
+    console.error('Error fetching payment batches:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load payments. Please try again.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  }
+});
+
+// New payment batch: unpaid records per employee for a date range
+router.get('/new', requirePermission('payments.manage'), async (req, res) => {
+  try {
+    await renderNewBatch(req, res, { range: await resolveRange(req.query) });
+  } catch (error) {
+    console.error('Error loading new payment form:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load form. Please try again.',
+      backLink: '/payments',
+      backText: 'Back to Payments'
+    });
+  }
+});
+
+// Create a payment batch, marking the chosen employees' unpaid records in the range as paid
+router.post('/', requirePermission('payments.manage'), async (req, res) => {
+  const { start_date, end_date, payment_date, method } = req.body;
+  const reference = (req.body.reference || '').trim();
+  let employeeIds = req.body.employee_ids || [];
+  if (!Array.isArray(employeeIds)) employeeIds = [employeeIds];
+  employeeIds = employeeIds.filter(isValidId).map(id => parseInt(id, 10));
+
+  const formData = { payment_date, method, reference, employee_ids: employeeIds };
+  const range = { startDate: start_date, endDate: end_date };
+
+  if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+    return res.redirect('/payments/new');
+  }
+
+  const renderError = async error => {
+    try {
+      await renderNewBatch(req, res, { range, error, formData, status: 400 });
+    } catch (renderFailure) {
+      console.error('Error loading new payment form:', renderFailure);
+      res.status(500).render('error', {
+        title: 'Error',
+        message: error,
+        backLink: '/payments/new',
+        backText: 'Back to New Payment'
+      });
+    }
+  };
+
+  if (employeeIds.length === 0) {
+    return renderError('Please choose at least one employee to pay');
+  }
+  if (!isValidDate(payment_date)) {
+    return renderError('Please enter a valid payment date');
+  }
+  if (!PAYMENT_METHODS[method]) {
+    return renderError('Please choose how the payment was made');
+  }
+  if (reference.length > MAX_REFERENCE_LENGTH) {
+    return renderError(`Reference must be ${MAX_REFERENCE_LENGTH} characters or less`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const batch = await createPaymentBatch(client, {
+      startDate: start_date,
+      endDate: end_date,
+      employeeIds,
+      paymentDate: payment_date,
+      method,
+      reference
+    }, actorFromRequest(req));
+
+    if (!batch) {
+      await client.query('ROLLBACK');
+      return renderError('These employees have no unpaid records in this date range');
+    }
+
+    await client.query('COMMIT');
+    res.redirect(`/payments/${batch.id}?success=` +
+      encodeURIComponent(`${batch.record_count} record(s) marked as paid ($${formatCOP(batch.total_amount)} COP)`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating payment batch:', error);
+    renderError('Unable to record the payment. Please try again.');
+  } finally {
+    client.release();
+  }
+});
+
+// Payment batch detail with the records it paid
+router.get('/:id', requirePermission('payments.view'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  try {
+    const batchResult = await pool.query(
+      `SELECT pb.*, u.username AS created_by_username
+       FROM payment_batches pb
+       LEFT JOIN users u ON pb.created_by = u.id
+       WHERE pb.id = $1`,
+      [req.params.id]
+    );
+    if (batchResult.rows.length === 0) {
+      return renderNotFound(res);
+    }
+
+    const recordsResult = await pool.query(
+      `SELECT wr.*, e.first_name, e.last_name
+       FROM work_records wr
+       JOIN employees e ON wr.employee_id = e.id
+       WHERE wr.payment_batch_id = $1
+       ORDER BY e.first_name, e.last_name, wr.work_date`,
+      [req.params.id]
+    );
+
+    res.render('payments/show', {
+      batch: batchResult.rows[0],
+      records: recordsResult.rows,
+      methods: PAYMENT_METHODS,
+      success: req.query.success || null,
+      formatCOP,
+      describeQuantity
+    });
+  } catch (error) {
+    console.error('Error loading payment batch:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the payment batch. Please try again.',
+      backLink: '/payments',
+      backText: 'Back to Payments'
+    });
+  }
+});
+
+// Void a payment batch: its records become unpaid again
+router.post('/:id/void', requirePermission('payments.manage'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const batch = await voidPaymentBatch(client, req.params.id, actorFromRequest(req));
+    if (!batch) {
+      await client.query('ROLLBACK');
+      return renderNotFound(res);
+    }
+    await client.query('COMMIT');
+    res.redirect('/payments?success=' + encodeURIComponent(`Payment batch #${batch.id} voided; its records are unpaid again`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error voiding payment batch:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to void the payment batch. Please try again.',
+      backLink: `/payments/${req.params.id}`,
+      backText: 'Back to Payment'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const {
+  findOverlappingPeriod,
+  getPeriodSummary,
+  suggestNextQuincena
+} = require('../services/payPeriodService');
+const { toDateString } = require('../services/dateService');
+const { formatCOP } = require('../services/formatService');
+const { actorFromRequest } = require('../services/auditService');
+const { ADJUSTMENT_TYPES, applyLoanInstallments } = require('../services/ledgerService');
+const { getCompanyName, getPayslips, renderPayslipsPDF } = require('../services/payslipService');
+const { describeQuantity } = require('../services/workQuantityService');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const MAX_PERIOD_NAME_LENGTH = 100;
+
+// Validate ID is a positive integer
+function isValidId(id) {
+  const num = parseInt(id, 10);
+  return !isNaN(num) && num > 0;
+}
+
+// Validate date format (YYYY-MM-DD)
+function isValidDate(dateStr) {
+  if (!dateStr) return false;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(dateStr)) return false;
+  const date = new Date(dateStr);
+  return date instanceof Date && !isNaN(date);
+}
+
+// Build a default period name from its dates, e.g. "Oct 1 - Oct 15, 2026"
+function defaultPeriodName(startDate, endDate) {
+  const fmt = (dateStr, opts) => {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString('en-US', opts);
+  };
+  return `${fmt(startDate, { month: 'short', day: 'numeric' })} - ${fmt(endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+}
+
+// Load a period by ID, or null if it doesn't exist
+async function getPeriod(id) {
+  const result = await pool.query(
+    `SELECT pp.*, u.username AS closed_by_username
+     FROM pay_periods pp
+     LEFT JOIN users u ON pp.closed_by = u.id
+     WHERE pp.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+function renderInvalidId(res) {
+  return res.status(400).render('error', {
+    title: 'Invalid Request',
+    message: 'Invalid pay period ID.',
+    backLink: '/periods',
+    backText: 'Back to Pay Periods'
+  });
+}
+
+function renderNotFound(res) {
+  return res.status(404).render('error', {
+    title: 'Not Found',
+    message: 'Pay period not found.',
+    backLink: '/periods',
+    backText: 'Back to Pay Periods'
+  });
+}
+
+// List pay periods
+router.get('/', requirePermission('periods.view'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        pp.*,
+        (SELECT COUNT(*) FROM work_records wr
+         WHERE wr.work_date BETWEEN pp.start_date AND pp.end_date AND wr.deleted_at IS NULL) AS record_count,
+        (SELECT COALESCE(SUM(wr.wage_amount), 0) FROM work_records wr
+         WHERE wr.work_date BETWEEN pp.start_date AND pp.end_date AND wr.deleted_at IS NULL) +
+        (SELECT COALESCE(SUM(CASE WHEN a.adjustment_type = 'bonus' THEN a.amount ELSE -a.amount END), 0)
+         FROM employee_adjustments a
+         WHERE a.adjustment_date BETWEEN pp.start_date AND pp.end_date) AS net_payable
+      FROM pay_periods pp
+      ORDER BY pp.start_date DESC
+    `);
+
+    res.render('periods/index', {
+      periods: result.rows,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      formatCOP
+    });
+  } catch (error) {
+    console.error('Error fetching pay periods:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load pay periods. Please try again.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  }
+});
+
+// New pay period form
+router.get('/new', requirePermission('periods.manage'), async (req, res) => {
+  try {
+    const lastResult = await pool.query('SELECT MAX(end_date) AS last_end FROM pay_periods');
+    const suggestion = suggestNextQuincena(lastResult.rows[0].last_end);
+    res.render('periods/new', { error: null, formData: suggestion });
+  } catch (error) {
+    console.error('Error loading new pay period form:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load form. Please try again.',
+      backLink: '/periods',
+      backText: 'Back to Pay Periods'
+    });
+  }
+});
+
+// Open a new pay period
+router.post('/', requirePermission('periods.manage'), async (req, res) => {
+  const { name, start_date, end_date } = req.body;
+  const formData = { name, start_date, end_date };
+
+  if (!isValidDate(start_date) || !isValidDate(end_date)) {
+    return res.render('periods/new', { error: 'Please enter valid start and end dates', formData });
+  }
+
+  if (start_date > end_date) {
+    return res.render('periods/new', { error: 'Start date cannot be after end date', formData });
+  }
+
+  const trimmedName = (name || '').trim();
+  if (trimmedName.length > MAX_PERIOD_NAME_LENGTH) {
+    return res.render('periods/new', {
+      error: `Name must be ${MAX_PERIOD_NAME_LENGTH} characters or less`,
+      formData
+    });
+  }
+
+  try {
+    const overlapping = await findOverlappingPeriod(start_date, end_date);
+    if (overlapping) {
+      return res.render('periods/new', {
+        error: `These dates overlap with the existing pay period "${overlapping.name}"`,
+        formData
+      });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO pay_periods (name, start_date, end_date) VALUES ($1, $2, $3) RETURNING id',
+      [trimmedName || defaultPeriodName(start_date, end_date), start_date, end_date]
+    );
+    res.redirect(`/periods/${result.rows[0].id}?success=` + encodeURIComponent('Pay period opened successfully'));
+  } catch (error) {
+    console.error('Error creating pay period:', error);
+    res.render('periods/new', { error: 'Unable to create pay period. Please try again.', formData });
+  }
+});
+
+// Pay period detail with per-employee summary
+router.get('/:id', requirePermission('periods.view'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  try {
+    const period = await getPeriod(req.params.id);
+    if (!period) {
+      return renderNotFound(res);
+    }
+
+    const summary = await getPeriodSummary(toDateString(period.start_date), toDateString(period.end_date));
+    const totals = summary.reduce((acc, row) => {
+      acc.days += parseFloat(row.days_worked) || 0;
+      acc.overtime += parseFloat(row.overtime_hours) || 0;
+      acc.gross += parseFloat(row.gross) || 0;
+      acc.deductions += parseFloat(row.deductions) || 0;
+      acc.bonuses += parseFloat(row.bonuses) || 0;
+      acc.net += parseFloat(row.net) || 0;
+      return acc;
+    }, { days: 0, overtime: 0, gross: 0, deductions: 0, bonuses: 0, net: 0 });
+
+    res.render('periods/show', {
+      period,
+      summary,
+      totals,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      formatCOP,
+      toDateString
+    });
+  } catch (error) {
+    console.error('Error loading pay period:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load pay period. Please try again.',
+      backLink: '/periods',
+      backText: 'Back to Pay Periods'
+    });
+  }
+});
+
+// Payslips for everyone paid in the period as one printable page, or one PDF with ?format=pdf
+router.get('/:id/payslips', requirePermission('payslips.view'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  try {
+    const period = await getPeriod(req.params.id);
+    if (!period) {
+      return renderNotFound(res);
+    }
+
+    const range = { startDate: toDateString(period.start_date), endDate: toDateString(period.end_date) };
+    const payslips = await getPayslips(range);
+
+    if (req.query.format === 'pdf' && payslips.length > 0) {
+      const pdf = await renderPayslipsPDF(payslips, range);
+      res.attachment(`payslips-${range.startDate}-${range.endDate}.pdf`);
+      return res.type('application/pdf').send(pdf);
+    }
+
+    res.render('payslips/print', {
+      payslips,
+      range,
+      companyName: getCompanyName(),
+      pdfUrl: `/periods/${period.id}/payslips?format=pdf`,
+      backLink: `/periods/${period.id}`,
+      backText: 'Back to Pay Period',
+      section: 'periods',
+      adjustmentTypes: ADJUSTMENT_TYPES,
+      describeQuantity
+    });
+  } catch (error) {
+    console.error('Error loading payslips:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load payslips. Please try again.',
+      backLink: `/periods/${req.params.id}`,
+      backText: 'Back to Pay Period'
+    });
+  }
+});
+
+// Close a pay period (locks its records)
+router.post('/:id/close', requirePermission('periods.manage'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE pay_periods
+       SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = $1
+       WHERE id = $2 AND status = 'open'
+       RETURNING name`,
+      [req.session.userId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      const period = await getPeriod(req.params.id);
+      if (!period) {
+        return renderNotFound(res);
+      }
+      return res.redirect(`/periods/${req.params.id}?error=` + encodeURIComponent('This pay period is already closed'));
+    }
+
+    res.redirect(`/periods/${req.params.id}?success=` + encodeURIComponent(`${result.rows[0].name} has been closed`));
+  } catch (error) {
+    console.error('Error closing pay period:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to close pay period. Please try again.',
+      backLink: '/periods',
+      backText: 'Back to Pay Periods'
+    });
+  }
+});
+
+// Reopen a closed pay period (unlocks its records)
+router.post('/:id/reopen', requirePermission('periods.manage'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE pay_periods
+       SET status = 'open', closed_at = NULL, closed_by = NULL
+       WHERE id = $1 AND status = 'closed'
+       RETURNING name`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      const period = await getPeriod(req.params.id);
+      if (!period) {
+        return renderNotFound(res);
+      }
+      return res.redirect(`/periods/${req.params.id}?error=` + encodeURIComponent('This pay period is already open'));
+    }
+
+    res.redirect(`/periods/${req.params.id}?success=` + encodeURIComponent(`${result.rows[0].name} has been reopened`));
+  } catch (error) {
+    console.error('Error reopening pay period:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to reopen pay period. Please try again.',
+      backLink: '/periods',
+      backText: 'Back to Pay Periods'
+    });
+  }
+});
+
+// Deduct the period's installment from each outstanding loan (open periods only)
+router.post('/:id/installments', requirePermission('periods.manage'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM pay_periods WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const period = result.rows[0];
+    if (!period) {
+      await client.query('ROLLBACK');
+      return renderNotFound(res);
+    }
+    if (period.status === 'closed') {
+      await client.query('ROLLBACK');
+      return res.redirect(`/periods/${period.id}?error=` + encodeURIComponent('Reopen this pay period before applying loan installments'));
+    }
+
+    const applied = await applyLoanInstallments(client, {
+      startDate: toDateString(period.start_date),
+      endDate: toDateString(period.end_date)
+    }, actorFromRequest(req));
+
+    await client.query('COMMIT');
+    const message = applied.length > 0
+      ? `${applied.length} loan installment(s) applied`
+      : 'No loan installments were due';
+    res.redirect(`/periods/${period.id}?success=` + encodeURIComponent(message));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error applying loan installments:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to apply loan installments. Please try again.',
+      backLink: `/periods/${req.params.id}`,
+      backText: 'Back to Pay Period'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete an open pay period (records are not affected)
+router.post('/:id/delete', requirePermission('periods.manage'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return renderInvalidId(res);
+  }
+
+  try {
+    const result = await pool.query(
+      "DELETE FROM pay_periods WHERE id = $1 AND status = 'open' RETURNING name",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      const period = await getPeriod(req.params.id);
+      if (!period) {
+        return renderNotFound(res);
+      }
+      return res.redirect('/periods?error=' + encodeURIComponent('Closed pay periods must be reopened before they can be deleted'));
+    }
+
+    res.redirect('/periods?success=' + encodeURIComponent(`${result.rows[0].name} has been deleted`));
+  } catch (error) {
+    console.error('Error deleting pay period:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to delete pay period. Please try again.',
+      backLink: '/periods',
+      backText: 'Back to Pay Periods'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { actorFromRequest, logAudit } = require('../services/auditService');
 
 const router = express.Router();
 
 router.use(requireAuth);
+router.use(requirePermission('recipients.manage'));
 
 // Email validation - more robust than just checking for @
 function isValidEmail(email) {
@@ -71,10 +73,13 @@ router.post('/', async (req, res) => {
 
   const normalizedEmail = email.trim().toLowerCase();
 
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
     // Check if email already exists and is active
-    const existing = await pool.query(
-      'SELECT id, active FROM email_recipients WHERE email = $1',
+    const existing = await client.query(
+      'SELECT * FROM email_recipients WHERE email = $1 FOR UPDATE',
       [normalizedEmail]
     );
 
@@ -83,22 +88,39 @@ router.post('/', async (req, res) => {
       if (existing.rows[0].active) {
         successMessage = 'This email address is already receiving daily emails';
       } else {
-        await pool.query(
-          'UPDATE email_recipients SET active = true WHERE id = $1',
+        const updated = await client.query(
+          'UPDATE email_recipients SET active = true WHERE id = $1 RETURNING *',
           [existing.rows[0].id]
         );
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'email_recipient',
+          entityId: updated.rows[0].id,
+          action: 'update',
+          before: existing.rows[0],
+          after: updated.rows[0]
+        });
         successMessage = 'Email recipient reactivated successfully';
       }
     } else {
-      await pool.query(
-        'INSERT INTO email_recipients (email) VALUES ($1)',
+      const inserted = await client.query(
+        'INSERT INTO email_recipients (email) VALUES ($1) RETURNING *',
         [normalizedEmail]
       );
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'email_recipient',
+        entityId: inserted.rows[0].id,
+        action: 'create',
+        after: inserted.rows[0]
+      });
       successMessage = 'Email recipient added successfully';
     }
 
+    await client.query('COMMIT');
     res.redirect('/recipients?success=' + encodeURIComponent(successMessage));
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error adding recipient:', error);
     try {
       const recipients = await getRecipientsList();
@@ -115,6 +137,8 @@ router.post('/', async (req, res) => {
         backText: 'Return to Dashboard'
       });
     }
+  } finally {
+    client.release();
   }
 });
 
@@ -130,10 +154,32 @@ router.post('/:id/toggle', async (req, res) => {
   }
 
   try {
-    const result = await pool.query(
-      'UPDATE email_recipients SET active = NOT active WHERE id = $1 RETURNING email, active',
-      [req.params.id]
-    );
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      const before = await client.query('SELECT * FROM email_recipients WHERE id = $1 FOR UPDATE', [req.params.id]);
+      result = await client.query(
+        'UPDATE email_recipients SET active = NOT active WHERE id = $1 RETURNING *',
+        [req.params.id]
+      );
+      if (result.rows.length > 0) {
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'email_recipient',
+          entityId: result.rows[0].id,
+          action: 'update',
+          before: before.rows[0],
+          after: result.rows[0]
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     if (result.rows.length === 0) {
       return res.status(404).render('error', {
@@ -170,10 +216,27 @@ router.post('/:id/delete', async (req, res) => {
   }
 
   try {
-    const result = await pool.query(
-      'DELETE FROM email_recipients WHERE id = $1 RETURNING email',
-      [req.params.id]
-    );
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      result = await client.query('DELETE FROM email_recipients WHERE id = $1 RETURNING *', [req.params.id]);
+      if (result.rows.length > 0) {
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'email_recipient',
+          entityId: result.rows[0].id,
+          action: 'delete',
+          before: result.rows[0]
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     if (result.rows.length === 0) {
       return res.status(404).render('error', {
@@ -1,11 +1,48 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission, hasPermission } = require('../middleware/auth');
+const { findClosedPeriod } = require('../services/payPeriodService');
+const { formatCOP } = require('../services/formatService');
+const {
+  getBusinessDate,
+  getTimezone,
+  isValidMonth,
+  getMonthRange,
+  toDateString,
+  parseDate
+} = require('../services/dateService');
+const { getTrashRetentionDays } = require('../services/trashService');
+const { getHolidayMultiplierOn, getColombianHolidays, getClosureDays } = require('../services/holidayService');
+const {
+  getWageOn,
+  getWageSchedules,
+  findWageDifferences,
+  applyWageRecalculation
+} = require('../services/wageService');
+const { actorFromRequest, logAudit } = require('../services/auditService');
+const { PAYMENT_METHODS } = require('../services/paymentService');
+const { toCSV, parseCSVWithHeaders } = require('../services/csvService');
+const {
+  RECORD_SORTS,
+  RECORD_PAGE_SIZES,
+  DEFAULT_RECORD_PAGE_SIZE,
+  getWorkRecords,
+  getWorkRecordTotals
+} = require('../services/recordService');
+const {
+  getOvertimeOptions,
+  parseWorkQuantity,
+  computeWageAmount,
+  describeQuantity,
+  dayFraction
+} = require('../services/workQuantityService');
 
 const router = express.Router();
 
 router.use(requireAuth);
 
+const MAX_IMPORT_ROWS = 1000;
+
 // Validate ID is a positive integer
 function isValidId(id) {
   const num = parseInt(id, 10);
@@ -21,21 +58,186 @@ function isValidDate(dateStr) {
   return date instanceof Date && !isNaN(date);
 }
 
-// Validate wage
+// Where to go after saving a record: back to the calendar month it was opened from, if any
+function recordsRedirectUrl(returnMonth, success) {
+  const base = isValidMonth(returnMonth) ? `/records/calendar?month=${returnMonth}&` : '/records?';
+  return base + 'success=' + encodeURIComponent(success);
+}
+
+// Validate a daily rate
 function isValidWage(wage) {
   if (wage === undefined || wage === null || wage === '') return true;
   const num = parseFloat(wage);
   return !isNaN(num) && num >= 0;
 }
 
-// Format COP currency
-function formatCOP(amount) {
-  return new Intl.NumberFormat('es-CO').format(amount || 0);
+// Render the "locked by a closed pay period" error page
+function renderLocked(res, period) {
+  return res.status(409).render('error', {
+    title: 'Record Locked',
+    message: `This record falls in the closed pay period "${period.name}". Reopen the period to make changes.`,
+    backLink: `/periods/${period.id}`,
+    backText: 'View Pay Period'
+  });
+}
+
+// Columns of the records CSV export. The import reads employee_id (or first_name and
+// last_name), work_date, day_type, hours_worked, overtime_hours, overtime_type and daily_rate.
+const RECORD_CSV_COLUMNS = [
+  { header: 'id', value: r => r.id },
+  { header: 'employee_id', value: r => r.employee_id },
+  { header: 'first_name', value: r => r.first_name },
+  { header: 'last_name', value: r => r.last_name },
+  { header: 'work_date', value: r => toDateString(r.work_date) },
+  { header: 'day_type', value: r => r.day_type },
+  { header: 'hours_worked', value: r => (r.hours_worked === null ? '' : parseFloat(r.hours_worked)) },
+  { header: 'overtime_hours', value: r => parseFloat(r.overtime_hours) || 0 },
+  { header: 'overtime_type', value: r => r.overtime_type || '' },
+  { header: 'holiday_multiplier', value: r => (r.holiday_multiplier === null ? '' : parseFloat(r.holiday_multiplier)) },
+  { header: 'daily_rate', value: r => parseFloat(r.daily_rate) || 0 },
+  { header: 'wage_amount', value: r => parseFloat(r.wage_amount) || 0 },
+  { header: 'paid', value: r => (r.payment_batch_id ? 'yes' : 'no') },
+  { header: 'payment_date', value: r => (r.payment_date ? toDateString(r.payment_date) : '') },
+  { header: 'recorded_by', value: r => r.recorded_by_email || (r.email_token ? 'Email link' : 'Manual entry') }
+];
+
+// Validate a work records CSV and decide what happens to each row: 'create', 'skip' (the
+// employee already has a record that day, or the row repeats one above) or 'error'.
+// Rates are only read from the file when the user may set wages.
+// Returns { error } or { rows: [{ line, status, label, message, record }] }.
+async function planRecordImport(text, { canEditWage }, db = pool) {
+  const parsed = parseCSVWithHeaders(text, { requiredHeaders: ['work_date'] });
+  if (parsed.error) return parsed;
+  if (!parsed.headers.includes('employee_id') &&
+      !(parsed.headers.includes('first_name') && parsed.headers.includes('last_name'))) {
+    return { error: 'Missing column(s): employee_id, or first_name and last_name' };
+  }
+  if (parsed.rows.length === 0) return { error: 'The file has no rows below the header' };
+  if (parsed.rows.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+
+  const [employeesResult, closedResult] = await Promise.all([
+    db.query('SELECT id, first_name, last_name FROM employees'),
+    db.query("SELECT name, start_date, end_date FROM pay_periods WHERE status = 'closed'")
+  ]);
+  const employeesById = new Map(employeesResult.rows.map(emp => [emp.id, emp]));
+  const closedPeriods = closedResult.rows.map(pp => ({
+    name: pp.name,
+    start: toDateString(pp.start_date),
+    end: toDateString(pp.end_date)
+  }));
+
+  const findEmployee = values => {
+    if (values.employee_id) {
+      return isValidId(values.employee_id) ? employeesById.get(parseInt(values.employee_id, 10)) : null;
+    }
+    const matches = employeesResult.rows.filter(emp =>
+      emp.first_name.toLowerCase() === (values.first_name || '').toLowerCase() &&
+      emp.last_name.toLowerCase() === (values.last_name || '').toLowerCase());
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  // Only records of the file's employees within its date range can already exist
+  const employeeIds = new Set();
+  const workDates = [];
+  for (const { values } of parsed.rows) {
+    const employee = findEmployee(values);
+    if (employee && isValidDate(values.work_date)) {
+      employeeIds.add(employee.id);
+      workDates.push(values.work_date);
+    }
+  }
+  workDates.sort();
+  const existingResult = employeeIds.size === 0 ? { rows: [] } : await db.query(
+    `SELECT employee_id, work_date FROM work_records
+     WHERE deleted_at IS NULL AND employee_id = ANY($1::int[]) AND work_date BETWEEN $2 AND $3`,
+    [[...employeeIds], workDates[0], workDates[workDates.length - 1]]
+  );
+  const seen = new Set(existingResult.rows.map(r => `${r.employee_id}|${toDateString(r.work_date)}`));
+
+  const rows = [];
+  for (const { line, values } of parsed.rows) {
+    const employee = findEmployee(values);
+    const name = employee
+      ? `${employee.first_name} ${employee.last_name}`
+      : values.employee_id ? `#${values.employee_id}` : `${values.first_name || ''} ${values.last_name || ''}`.trim();
+    const label = `${name} · ${values.work_date}`;
+    const fail = message => rows.push({ line, status: 'error', label, message });
+
+    if (!employee) {
+      fail('Employee not found (names must match exactly one employee)');
+      continue;
+    }
+    if (!isValidDate(values.work_date)) {
+      fail('Please enter a valid date (YYYY-MM-DD)');
+      continue;
+    }
+    const { error: quantityError, quantity } = parseWorkQuantity(values);
+    if (quantityError) {
+      fail(quantityError);
+      continue;
+    }
+    const dailyRate = canEditWage ? values.daily_rate : '';
+    if (!isValidWage(dailyRate)) {
+      fail('Please enter a valid daily rate');
+      continue;
+    }
+    const closedPeriod = closedPeriods.find(pp => values.work_date >= pp.start && values.work_date <= pp.end);
+    if (closedPeriod) {
+      fail(`Falls in the closed pay period "${closedPeriod.name}"`);
+      continue;
+    }
+
+    const key = `${employee.id}|${values.work_date}`;
+    if (seen.has(key)) {
+      rows.push({ line, status: 'skip', label, message: 'A record for this employee and date already exists' });
+      continue;
+    }
+    seen.add(key);
+
+    let rate = parseFloat(dailyRate);
+    if (isNaN(rate) || dailyRate === '') {
+      rate = await getWageOn(employee.id, values.work_date, db);
+    }
+    quantity.holiday_multiplier = await getHolidayMultiplierOn(values.work_date, db);
+    const record = { ...quantity, employee_id: employee.id, work_date: values.work_date, daily_rate: rate };
+    record.wage_amount = computeWageAmount(rate, record);
+
+    rows.push({
+      line,
+      status: 'create',
+      label,
+      message: `${describeQuantity(record)} · $${formatCOP(record.wage_amount)} COP`,
+      record
+    });
+  }
+  return { rows };
+}
+
+// Employees for the record forms, each with their wage history so the form can show
+// the wage in force on the chosen date
+async function getFormEmployees({ activeOnly }) {
+  const [employeesResult, schedules] = await Promise.all([
+    pool.query(
+      `SELECT id, first_name, last_name FROM employees
+       ${activeOnly ? 'WHERE active = true' : ''}
+       ORDER BY first_name`
+    ),
+    getWageSchedules()
+  ]);
+  return employeesResult.rows.map(emp => ({ ...emp, wages: schedules[emp.id] || [] }));
 }
 
-// List records
-router.get('/', async (req, res) => {
+// List records a page at a time, or download them all as CSV with ?format=csv (same filters
+// and sort). Filters, sort, page and page size are all kept in the query string.
+router.get('/', requirePermission('records.view'), async (req, res) => {
   const { employee_id, start_date, end_date } = req.query;
+  const paid = ['paid', 'unpaid'].includes(req.query.paid) ? req.query.paid : '';
+  const sort = Object.hasOwn(RECORD_SORTS, req.query.sort) ? req.query.sort : 'date';
+  const dir = ['asc', 'desc'].includes(req.query.dir) ? req.query.dir : (sort === 'employee' ? 'asc' : 'desc');
+  const pageSize = RECORD_PAGE_SIZES.includes(parseInt(req.query.page_size, 10))
+    ? parseInt(req.query.page_size, 10)
+    : DEFAULT_RECORD_PAGE_SIZE;
+  const requestedPage = isValidId(req.query.page) ? parseInt(req.query.page, 10) : 1;
 
   let filterError = null;
 
@@ -56,58 +258,51 @@ router.get('/', async (req, res) => {
   }
 
   try {
-    let query = `
-      SELECT
-        wr.id,
-        wr.work_date,
-        wr.wage_amount,
-        wr.recorded_at,
-        wr.employee_id,
-        e.first_name,
-        e.last_name
-      FROM work_records wr
-      JOIN employees e ON wr.employee_id = e.id
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramIndex = 1;
-
-    if (!filterError) {
-      if (employee_id) {
-        query += ` AND wr.employee_id = $${paramIndex}`;
-        params.push(employee_id);
-        paramIndex++;
-      }
+    const filters = filterError ? {} : { employeeId: employee_id, startDate: start_date, endDate: end_date, paid };
 
-      if (start_date) {
-        query += ` AND wr.work_date >= $${paramIndex}`;
-        params.push(start_date);
-        paramIndex++;
-      }
-
-      if (end_date) {
-        query += ` AND wr.work_date <= $${paramIndex}`;
-        params.push(end_date);
-        paramIndex++;
+    if (req.query.format === 'csv') {
+      if (filterError) {
+        return res.status(400).render('error', {
+          title: 'Invalid Request',
+          message: filterError,
+          backLink: '/records',
+          backText: 'Back to Records'
+        });
       }
+      res.attachment(`work-records-${getBusinessDate()}.csv`);
+      const exported = await getWorkRecords(filters, { sort, direction: dir });
+      return res.type('text/csv').send(toCSV(RECORD_CSV_COLUMNS, exported));
     }
 
-    query += ' ORDER BY wr.work_date DESC, wr.recorded_at DESC';
-
-    const recordsResult = await pool.query(query, params);
+    // Totals cover every matching record, not just the page shown
+    const totals = await getWorkRecordTotals(filters);
+    const totalPages = Math.max(1, Math.ceil(totals.record_count / pageSize));
+    const page = Math.min(requestedPage, totalPages);
+    const records = await getWorkRecords(filters, {
+      sort,
+      direction: dir,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
     const employeesResult = await pool.query(
-      'SELECT id, first_name, last_name, daily_wage FROM employees WHERE active = true ORDER BY first_name'
+      'SELECT id, first_name, last_name FROM employees WHERE active = true ORDER BY first_name'
     );
 
     const success = req.query.success || null;
 
     res.render('records/index', {
-      records: recordsResult.rows,
+      records,
       employees: employeesResult.rows,
-      filters: filterError ? {} : { employee_id, start_date, end_date },
+      filters: filterError ? {} : { employee_id, start_date, end_date, paid },
+      listing: { sort, dir, page, pageSize, totalPages },
+      pageSizes: RECORD_PAGE_SIZES,
+      totals,
       error: filterError,
       success,
-      formatCOP
+      paymentMethods: PAYMENT_METHODS,
+      timezone: getTimezone(),
+      formatCOP,
+      describeQuantity
     });
   } catch (error) {
     console.error('Error fetching records:', error);
@@ -121,15 +316,19 @@ router.get('/', async (req, res) => {
 });
 
 // New record form
-router.get('/new', async (req, res) => {
+router.get('/new', requirePermission('records.edit'), async (req, res) => {
+  // The calendar links here with the employee and date of the cell clicked
+  const { employee_id, work_date, return_month } = req.query;
   try {
-    const employeesResult = await pool.query(
-      'SELECT id, first_name, last_name, daily_wage FROM employees WHERE active = true ORDER BY first_name'
-    );
     res.render('records/new', {
-      employees: employeesResult.rows,
+      employees: await getFormEmployees({ activeOnly: true }),
+      overtimeOptions: getOvertimeOptions(),
       error: null,
-      formData: { work_date: new Date().toISOString().split('T')[0] }
+      formData: {
+        employee_id: isValidId(employee_id) ? employee_id : '',
+        work_date: isValidDate(work_date) ? work_date : getBusinessDate()
+      },
+      returnMonth: isValidMonth(return_month) ? return_month : null
     });
   } catch (error) {
     console.error('Error loading new record form:', error);
@@ -143,69 +342,343 @@ router.get('/new', async (req, res) => {
 });
 
 // Create record
-router.post('/', async (req, res) => {
-  const { employee_id, work_date, wage_amount } = req.body;
+router.post('/', requirePermission('records.edit'), async (req, res) => {
+  const { employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type } = req.body;
+  // Without wage permission the rate in force on the work date is always used
+  const daily_rate = hasPermission(req.user, 'records.editWage') ? req.body.daily_rate : '';
+  const formData = { employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type, daily_rate };
+  const returnMonth = isValidMonth(req.body.return_month) ? req.body.return_month : null;
 
-  const getEmployees = async () => {
-    const result = await pool.query(
-      'SELECT id, first_name, last_name, daily_wage FROM employees WHERE active = true ORDER BY first_name'
-    );
-    return result.rows;
-  };
+  const renderError = async error => res.render('records/new', {
+    employees: await getFormEmployees({ activeOnly: true }),
+    overtimeOptions: getOvertimeOptions(),
+    error,
+    formData,
+    returnMonth
+  });
 
   if (!employee_id || !isValidId(employee_id)) {
-    const employees = await getEmployees();
-    return res.render('records/new', {
-      employees,
-      error: 'Please select an employee',
-      formData: { employee_id, work_date, wage_amount }
-    });
+    return renderError('Please select an employee');
   }
 
   if (!work_date || !isValidDate(work_date)) {
-    const employees = await getEmployees();
-    return res.render('records/new', {
-      employees,
-      error: 'Please enter a valid date',
-      formData: { employee_id, work_date, wage_amount }
+    return renderError('Please enter a valid date');
+  }
+
+  const { error: quantityError, quantity } = parseWorkQuantity(req.body);
+  if (quantityError) {
+    return renderError(quantityError);
+  }
+
+  if (!isValidWage(daily_rate)) {
+    return renderError('Please enter a valid daily rate');
+  }
+
+  try {
+    const closedPeriod = await findClosedPeriod(work_date);
+    if (closedPeriod) {
+      return renderError(`${work_date} falls in the closed pay period "${closedPeriod.name}". Reopen the period to add records.`);
+    }
+
+    // If no rate is given, use the wage in force on the work date
+    let rate = parseFloat(daily_rate);
+    if (isNaN(rate) || daily_rate === '') {
+      rate = await getWageOn(employee_id, work_date);
+    }
+    quantity.holiday_multiplier = await getHolidayMultiplierOn(work_date);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(
+        `INSERT INTO work_records
+           (employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type, overtime_multiplier,
+            holiday_multiplier, daily_rate, wage_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          employee_id, work_date, quantity.day_type, quantity.hours_worked, quantity.overtime_hours,
+          quantity.overtime_type, quantity.overtime_multiplier, quantity.holiday_multiplier,
+          rate, computeWageAmount(rate, quantity)
+        ]
+      );
+      const record = inserted.rows[0];
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'work_record',
+        entityId: record.id,
+        employeeId: record.employee_id,
+        action: 'create',
+        after: record
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.redirect(recordsRedirectUrl(returnMonth, 'Record added successfully'));
+  } catch (error) {
+    console.error('Error creating record:', error);
+    renderError('Unable to create record. Please try again.');
+  }
+});
+
+// Recalculate wages: preview records whose wage differs from the wage history
+router.get('/recalculate', requirePermission('records.editWage'), async (req, res) => {
+  const { employee_id, start_date, end_date } = req.query;
+  const filters = {
+    employee_id: isValidId(employee_id) ? parseInt(employee_id, 10) : '',
+    start_date: isValidDate(start_date) ? start_date : '',
+    end_date: isValidDate(end_date) ? end_date : ''
+  };
+
+  let error = null;
+  if ((start_date && !filters.start_date) || (end_date && !filters.end_date)) {
+    error = 'Please enter valid dates';
+  } else if (filters.start_date && filters.end_date && filters.start_date > filters.end_date) {
+    error = 'Start date cannot be after end date';
+  }
+
+  try {
+    const employeesResult = await pool.query('SELECT id, first_name, last_name FROM employees ORDER BY first_name');
+
+    // Only preview once a full range is chosen
+    let differences = null;
+    if (!error && filters.start_date && filters.end_date) {
+      differences = await findWageDifferences({
+        startDate: filters.start_date,
+        endDate: filters.end_date,
+        employeeId: filters.employee_id || null
+      });
+    }
+
+    res.render('records/recalculate', {
+      employees: employeesResult.rows,
+      filters,
+      differences,
+      error,
+      success: req.query.success || null,
+      formatCOP,
+      describeQuantity
     });
+  } catch (err) {
+    console.error('Error previewing wage recalculation:', err);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to preview the recalculation. Please try again.',
+      backLink: '/records',
+      backText: 'Back to Records'
+    });
+  }
+});
+
+// Apply a previewed recalculation to the records that were shown
+router.post('/recalculate', requirePermission('records.editWage'), async (req, res) => {
+  let recordIds = req.body.record_ids || [];
+  if (!Array.isArray(recordIds)) recordIds = [recordIds];
+  recordIds = recordIds.filter(isValidId).map(id => parseInt(id, 10));
+
+  // Return to the same preview afterwards
+  const params = new URLSearchParams();
+  ['employee_id', 'start_date', 'end_date'].forEach(key => {
+    if (req.body[key]) params.set(key, req.body[key]);
+  });
+
+  if (recordIds.length === 0) {
+    params.set('success', 'No records to update');
+    return res.redirect('/records/recalculate?' + params);
   }
 
-  if (!isValidWage(wage_amount)) {
-    const employees = await getEmployees();
-    return res.render('records/new', {
-      employees,
-      error: 'Please enter a valid wage amount',
-      formData: { employee_id, work_date, wage_amount }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const updated = await applyWageRecalculation(client, recordIds, actorFromRequest(req));
+    await client.query('COMMIT');
+
+    params.set('success', `${updated} record${updated === 1 ? '' : 's'} updated to the wage in force on their date`);
+    res.redirect('/records/recalculate?' + params);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error applying wage recalculation:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to recalculate wages. No records were changed.',
+      backLink: '/records/recalculate?' + params,
+      backText: 'Back to Recalculate Wages'
     });
+  } finally {
+    client.release();
   }
+});
+
+// Attendance calendar for a month: one row per employee, one column per day, with the
+// days and wages each employee worked
+router.get('/calendar', requirePermission('records.view'), async (req, res) => {
+  const month = isValidMonth(req.query.month) ? req.query.month : getBusinessDate().substring(0, 7);
+  const { startDate, endDate } = getMonthRange(month);
+  const year = parseInt(month.substring(0, 4), 10);
 
   try {
-    // If wage not provided, get employee's current daily wage
-    let finalWage = parseFloat(wage_amount);
-    if (isNaN(finalWage) || wage_amount === '') {
-      const empResult = await pool.query('SELECT daily_wage FROM employees WHERE id = $1', [employee_id]);
-      finalWage = empResult.rows[0]?.daily_wage || 0;
+    const [records, employeesResult, closureDays] = await Promise.all([
+      getWorkRecords({ startDate, endDate }, { sort: 'date', direction: 'asc' }),
+      // Inactive employees only appear in months they worked
+      pool.query(
+        `SELECT e.id, e.first_name, e.last_name, e.active
+         FROM employees e
+         WHERE e.active = true OR EXISTS (
+           SELECT 1 FROM work_records wr
+           WHERE wr.employee_id = e.id AND wr.deleted_at IS NULL AND wr.work_date BETWEEN $1 AND $2
+         )
+         ORDER BY e.first_name, e.last_name`,
+        [startDate, endDate]
+      ),
+      getClosureDays(year)
+    ]);
+
+    const holidays = new Map(getColombianHolidays(year).map(h => [h.date, h.name]));
+    const closures = new Map(closureDays.map(cd => [toDateString(cd.closure_date), cd.name]));
+    const days = [];
+    for (let day = 1; day <= parseInt(endDate.substring(8), 10); day++) {
+      const date = `${month}-${String(day).padStart(2, '0')}`;
+      const dayDate = parseDate(date);
+      days.push({
+        date,
+        day,
+        weekday: dayDate.toLocaleDateString('en-US', { weekday: 'narrow' }),
+        weekend: dayDate.getDay() === 0 || dayDate.getDay() === 6,
+        holiday: holidays.get(date) || closures.get(date) || null
+      });
     }
 
-    await pool.query(
-      'INSERT INTO work_records (employee_id, work_date, wage_amount) VALUES ($1, $2, $3)',
-      [employee_id, work_date, finalWage]
-    );
-    res.redirect('/records?success=' + encodeURIComponent('Record added successfully'));
+    const rows = employeesResult.rows.map(employee => ({ employee, records: {}, days: 0, wages: 0 }));
+    const rowsByEmployee = new Map(rows.map(row => [row.employee.id, row]));
+    for (const record of records) {
+      const row = rowsByEmployee.get(record.employee_id);
+      const date = toDateString(record.work_date);
+      if (!row) continue;
+      // Every record counts toward the totals; the cell links to the first of the day
+      (row.records[date] = row.records[date] || []).push(record);
+      row.days += dayFraction(record);
+      row.wages += parseFloat(record.wage_amount) || 0;
+    }
+
+    const [monthYear, monthNumber] = month.split('-').map(Number);
+    const shiftMonth = offset => {
+      const date = new Date(monthYear, monthNumber - 1 + offset, 1);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    };
+
+    res.render('records/calendar', {
+      month,
+      monthLabel: parseDate(startDate).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      previousMonth: shiftMonth(-1),
+      nextMonth: shiftMonth(1),
+      currentMonth: getBusinessDate().substring(0, 7),
+      days,
+      rows,
+      totals: {
+        days: rows.reduce((sum, row) => sum + row.days, 0),
+        wages: rows.reduce((sum, row) => sum + row.wages, 0)
+      },
+      success: req.query.success || null,
+      formatCOP,
+      describeQuantity
+    });
   } catch (error) {
-    console.error('Error creating record:', error);
-    const employees = await getEmployees();
-    res.render('records/new', {
-      employees,
-      error: 'Unable to create record. Please try again.',
-      formData: { employee_id, work_date, wage_amount }
+    console.error('Error loading attendance calendar:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the attendance calendar. Please try again.',
+      backLink: '/records',
+      backText: 'Back to Records'
     });
   }
 });
 
+// CSV import form
+router.get('/import', requirePermission('records.edit'), (req, res) => {
+  res.render('records/import', { csv: '', plan: null, error: null });
+});
+
+// Preview a CSV import of historical records, or with confirm=1 create every new record in
+// one transaction. Nothing is imported while any row has an error.
+router.post('/import', requirePermission('records.edit'), async (req, res) => {
+  const csv = req.body.csv || '';
+  const canEditWage = hasPermission(req.user, 'records.editWage');
+  const renderImport = (plan, error = null) =>
+    res.status(error ? 400 : 200).render('records/import', { csv, plan, error });
+
+  let plan;
+  try {
+    plan = await planRecordImport(csv, { canEditWage });
+  } catch (error) {
+    console.error('Error previewing record import:', error);
+    return renderImport(null, 'Unable to read the file. Please try again.');
+  }
+  if (plan.error) {
+    return renderImport(null, plan.error);
+  }
+
+  if (req.body.confirm !== '1') {
+    return renderImport(plan);
+  }
+  if (plan.rows.some(row => row.status === 'error')) {
+    return renderImport(plan, 'Fix the rows with errors and preview the file again before importing.');
+  }
+  if (!plan.rows.some(row => row.status === 'create')) {
+    return renderImport(plan, 'There are no new records to import.');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Re-check inside the transaction in case records were added or periods closed since the preview
+    const current = await planRecordImport(csv, { canEditWage }, client);
+    if (current.rows.some(row => row.status === 'error')) {
+      await client.query('ROLLBACK');
+      return renderImport(current, 'Some rows are no longer valid. Review the preview and try again.');
+    }
+    const rows = current.rows.filter(row => row.status === 'create');
+
+    for (const { record } of rows) {
+      const inserted = await client.query(
+        `INSERT INTO work_records
+           (employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type, overtime_multiplier,
+            holiday_multiplier, daily_rate, wage_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          record.employee_id, record.work_date, record.day_type, record.hours_worked, record.overtime_hours,
+          record.overtime_type, record.overtime_multiplier, record.holiday_multiplier,
+          record.daily_rate, record.wage_amount
+        ]
+      );
+      await logAudit(client, {
+        actor: actorFromRequest(req),
+        entityType: 'work_record',
+        entityId: inserted.rows[0].id,
+        employeeId: record.employee_id,
+        action: 'create',
+        after: inserted.rows[0]
+      });
+    }
+
+    await client.query('COMMIT');
+    res.redirect('/records?success=' + encodeURIComponent(`${rows.length} record(s) imported`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error importing records:', error);
+    renderImport(plan, 'Unable to import records. Nothing was imported.');
+  } finally {
+    client.release();
+  }
+});
+
 // Edit record form
-router.get('/:id/edit', async (req, res) => {
+router.get('/:id/edit', requirePermission('records.edit'), async (req, res) => {
   if (!isValidId(req.params.id)) {
     return res.status(400).render('error', {
       title: 'Invalid Request',
@@ -217,10 +690,11 @@ router.get('/:id/edit', async (req, res) => {
 
   try {
     const recordResult = await pool.query(
-      `SELECT wr.*, e.first_name, e.last_name
+      `SELECT wr.*, e.first_name, e.last_name, pb.payment_date, pb.method AS payment_method, pb.reference AS payment_reference
        FROM work_records wr
        JOIN employees e ON wr.employee_id = e.id
-       WHERE wr.id = $1`,
+       LEFT JOIN payment_batches pb ON wr.payment_batch_id = pb.id
+       WHERE wr.id = $1 AND wr.deleted_at IS NULL`,
       [req.params.id]
     );
 
@@ -233,15 +707,20 @@ router.get('/:id/edit', async (req, res) => {
       });
     }
 
-    const employeesResult = await pool.query(
-      'SELECT id, first_name, last_name, daily_wage FROM employees ORDER BY first_name'
-    );
+    const closedPeriod = await findClosedPeriod(recordResult.rows[0].work_date);
+    if (closedPeriod) {
+      return renderLocked(res, closedPeriod);
+    }
 
     res.render('records/edit', {
       record: recordResult.rows[0],
-      employees: employeesResult.rows,
+      workDate: toDateString(recordResult.rows[0].work_date),
+      employees: await getFormEmployees({ activeOnly: false }),
+      overtimeOptions: getOvertimeOptions(),
+      paymentMethods: PAYMENT_METHODS,
       error: null,
-      formData: null
+      formData: null,
+      returnMonth: isValidMonth(req.query.return_month) ? req.query.return_month : null
     });
   } catch (error) {
     console.error('Error loading edit form:', error);
@@ -255,8 +734,12 @@ router.get('/:id/edit', async (req, res) => {
 });
 
 // Update record
-router.post('/:id', async (req, res) => {
-  const { employee_id, work_date, wage_amount } = req.body;
+router.post('/:id', requirePermission('records.edit'), async (req, res) => {
+  const { employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type } = req.body;
+  const canEditWage = hasPermission(req.user, 'records.editWage');
+  const daily_rate = canEditWage ? req.body.daily_rate : undefined;
+  const formData = { employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type, daily_rate };
+  const returnMonth = isValidMonth(req.body.return_month) ? req.body.return_month : null;
   const id = req.params.id;
 
   if (!isValidId(id)) {
@@ -268,73 +751,157 @@ router.post('/:id', async (req, res) => {
     });
   }
 
-  const getFormData = async () => {
+  let record;
+  try {
     const recordResult = await pool.query(
-      `SELECT wr.*, e.first_name, e.last_name
+      `SELECT wr.*, e.first_name, e.last_name, pb.payment_date, pb.method AS payment_method, pb.reference AS payment_reference
        FROM work_records wr
        JOIN employees e ON wr.employee_id = e.id
-       WHERE wr.id = $1`,
+       LEFT JOIN payment_batches pb ON wr.payment_batch_id = pb.id
+       WHERE wr.id = $1 AND wr.deleted_at IS NULL`,
       [id]
     );
-    const employeesResult = await pool.query(
-      'SELECT id, first_name, last_name, daily_wage FROM employees ORDER BY first_name'
-    );
-    return {
-      record: recordResult.rows[0],
-      employees: employeesResult.rows
-    };
+    record = recordResult.rows[0];
+  } catch (error) {
+    console.error('Error loading record:', error);
+    return res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load record. Please try again.',
+      backLink: '/records',
+      backText: 'Back to Records'
+    });
+  }
+
+  if (!record) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Record not found.',
+      backLink: '/records',
+      backText: 'Back to Records'
+    });
+  }
+
+  const renderError = async error => {
+    try {
+      res.render('records/edit', {
+        record,
+        // Keep the date that was entered; otherwise show the record's own
+        workDate: work_date || toDateString(record.work_date),
+        employees: await getFormEmployees({ activeOnly: false }),
+        overtimeOptions: getOvertimeOptions(),
+        paymentMethods: PAYMENT_METHODS,
+        error,
+        formData,
+        returnMonth
+      });
+    } catch (renderFailure) {
+      console.error('Error rendering edit form:', renderFailure);
+      res.status(500).render('error', {
+        title: 'Error',
+        message: error,
+        backLink: `/records/${id}/edit`,
+        backText: 'Back to Record'
+      });
+    }
   };
 
   if (!employee_id || !isValidId(employee_id)) {
-    const { record, employees } = await getFormData();
-    return res.render('records/edit', {
-      record,
-      employees,
-      error: 'Please select an employee',
-      formData: { employee_id, work_date, wage_amount }
-    });
+    return renderError('Please select an employee');
   }
 
   if (!work_date || !isValidDate(work_date)) {
-    const { record, employees } = await getFormData();
-    return res.render('records/edit', {
-      record,
-      employees,
-      error: 'Please enter a valid date',
-      formData: { employee_id, work_date, wage_amount }
-    });
+    return renderError('Please enter a valid date');
   }
 
-  if (!isValidWage(wage_amount)) {
-    const { record, employees } = await getFormData();
-    return res.render('records/edit', {
-      record,
-      employees,
-      error: 'Please enter a valid wage amount',
-      formData: { employee_id, work_date, wage_amount }
-    });
+  const { error: quantityError, quantity } = parseWorkQuantity(req.body);
+  if (quantityError) {
+    return renderError(quantityError);
+  }
+
+  if (!isValidWage(daily_rate)) {
+    return renderError('Please enter a valid daily rate');
   }
 
   try {
-    await pool.query(
-      'UPDATE work_records SET employee_id = $1, work_date = $2, wage_amount = $3 WHERE id = $4',
-      [employee_id, work_date, parseFloat(wage_amount) || 0, id]
-    );
-    res.redirect('/records?success=' + encodeURIComponent('Record updated successfully'));
+    // Neither the current date nor the new date may fall in a closed period
+    const closedPeriod = await findClosedPeriod(record.work_date) || await findClosedPeriod(work_date);
+    if (closedPeriod) {
+      return renderLocked(res, closedPeriod);
+    }
+
+    // Paid records only change when a payment manager explicitly overrides the payment
+    if (record.payment_batch_id) {
+      if (!hasPermission(req.user, 'payments.manage')) {
+        return renderError('This record has already been paid. Only users who manage payments can change it.');
+      }
+      if (req.body.override_paid !== 'on') {
+        return renderError('This record has already been paid. Tick "Change this paid record" to save your changes.');
+      }
+    }
+
+    // Without wage permission the recorded rate is kept, unless the record moves to another
+    // employee or date; then (or when the rate is left empty) the wage in force on the date is used
+    let rate = parseFloat(daily_rate);
+    const sameEmployeeAndDate = String(record.employee_id) === String(employee_id) &&
+      toDateString(record.work_date) === work_date;
+    if (!canEditWage && sameEmployeeAndDate) {
+      rate = record.daily_rate;
+    } else if (!canEditWage || isNaN(rate) || daily_rate === '') {
+      rate = await getWageOn(employee_id, work_date);
+    }
+
+    // Keep the surcharges the record was saved with unless its overtime type or date changes
+    if (quantity.overtime_type && quantity.overtime_type === record.overtime_type && record.overtime_multiplier) {
+      quantity.overtime_multiplier = record.overtime_multiplier;
+    }
+    quantity.holiday_multiplier = toDateString(record.work_date) === work_date && record.holiday_multiplier
+      ? record.holiday_multiplier
+      : await getHolidayMultiplierOn(work_date);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const before = await client.query('SELECT * FROM work_records WHERE id = $1 FOR UPDATE', [id]);
+      const updated = await client.query(
+        `UPDATE work_records
+         SET employee_id = $1, work_date = $2, day_type = $3, hours_worked = $4, overtime_hours = $5,
+             overtime_type = $6, overtime_multiplier = $7, holiday_multiplier = $8, daily_rate = $9,
+             wage_amount = $10
+         WHERE id = $11 AND deleted_at IS NULL
+         RETURNING *`,
+        [
+          employee_id, work_date, quantity.day_type, quantity.hours_worked, quantity.overtime_hours,
+          quantity.overtime_type, quantity.overtime_multiplier, quantity.holiday_multiplier,
+          rate, computeWageAmount(rate, quantity), id
+        ]
+      );
+      if (updated.rows.length > 0) {
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'work_record',
+          entityId: updated.rows[0].id,
+          employeeId: updated.rows[0].employee_id,
+          action: 'update',
+          before: before.rows[0],
+          after: updated.rows[0]
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.redirect(recordsRedirectUrl(returnMonth, 'Record updated successfully'));
   } catch (error) {
     console.error('Error updating record:', error);
-    const { record, employees } = await getFormData();
-    res.render('records/edit', {
-      record,
-      employees,
-      error: 'Unable to update record. Please try again.',
-      formData: { employee_id, work_date, wage_amount }
-    });
+    renderError('Unable to update record. Please try again.');
   }
 });
 
-// Delete record
-router.post('/:id/delete', async (req, res) => {
+// Move record to the trash
+router.post('/:id/delete', requirePermission('records.edit'), async (req, res) => {
   if (!isValidId(req.params.id)) {
     return res.status(400).render('error', {
       title: 'Invalid Request',
@@ -345,10 +912,61 @@ router.post('/:id/delete', async (req, res) => {
   }
 
   try {
-    const result = await pool.query(
-      'DELETE FROM work_records WHERE id = $1 RETURNING employee_id, work_date',
+    const existing = await pool.query(
+      'SELECT work_date, payment_batch_id FROM work_records WHERE id = $1 AND deleted_at IS NULL',
       [req.params.id]
     );
+    if (existing.rows.length > 0) {
+      const closedPeriod = await findClosedPeriod(existing.rows[0].work_date);
+      if (closedPeriod) {
+        return renderLocked(res, closedPeriod);
+      }
+      const paymentBatchId = existing.rows[0].payment_batch_id;
+      if (paymentBatchId && !hasPermission(req.user, 'payments.manage')) {
+        return res.status(403).render('error', {
+          title: 'Record Paid',
+          message: `This record was paid in payment #${paymentBatchId}. Only users who manage payments can delete it.`,
+          backLink: '/records',
+          backText: 'Back to Records'
+        });
+      }
+      if (paymentBatchId && req.body.override_paid !== 'on') {
+        return res.status(409).render('error', {
+          title: 'Record Paid',
+          message: `This record was paid in payment #${paymentBatchId}. Tick "Change this paid record" on its edit page to delete it.`,
+          backLink: `/records/${req.params.id}/edit`,
+          backText: 'Edit Record'
+        });
+      }
+    }
+
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      result = await client.query(
+        `UPDATE work_records SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *`,
+        [req.params.id, req.user.id]
+      );
+      if (result.rows.length > 0) {
+        await logAudit(client, {
+          actor: actorFromRequest(req),
+          entityType: 'work_record',
+          entityId: result.rows[0].id,
+          employeeId: result.rows[0].employee_id,
+          action: 'delete',
+          before: result.rows[0]
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     if (result.rows.length === 0) {
       return res.status(404).render('error', {
@@ -359,7 +977,7 @@ router.post('/:id/delete', async (req, res) => {
       });
     }
 
-    res.redirect('/records?success=' + encodeURIComponent('Record deleted successfully'));
+    res.redirect('/records?success=' + encodeURIComponent('Record moved to the trash'));
   } catch (error) {
     console.error('Error deleting record:', error);
     res.status(500).render('error', {
@@ -371,4 +989,163 @@ router.post('/:id/delete', async (req, res) => {
   }
 });
 
+// Trashed records, newest first. They are purged automatically after the retention period.
+router.get('/trash', requirePermission('records.edit'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT
+         wr.id, wr.work_date, wr.wage_amount, wr.day_type, wr.hours_worked, wr.overtime_hours,
+         wr.overtime_type, wr.holiday_multiplier, wr.deleted_at, wr.email_token,
+         e.first_name, e.last_name,
+         u.username AS deleted_by_username,
+         wr.deleted_at + make_interval(days => $1) AS purge_at
+       FROM work_records wr
+       JOIN employees e ON wr.employee_id = e.id
+       LEFT JOIN users u ON wr.deleted_by = u.id
+       WHERE wr.deleted_at IS NOT NULL
+       ORDER BY wr.deleted_at DESC, wr.id DESC`,
+      [getTrashRetentionDays()]
+    );
+
+    res.render('records/trash', {
+      records: result.rows,
+      retentionDays: getTrashRetentionDays(),
+      timezone: getTimezone(),
+      success: req.query.success || null,
+      formatCOP,
+      describeQuantity
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load the trash. Please try again.',
+      backLink: '/records',
+      backText: 'Back to Records'
+    });
+  }
+});
+
+// Restore a record from the trash
+router.post('/:id/restore', requirePermission('records.edit'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid record ID.',
+      backLink: '/records/trash',
+      backText: 'Back to Trash'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT work_date FROM work_records WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+      [req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Record not found in the trash. It may have been restored or purged already.',
+        backLink: '/records/trash',
+        backText: 'Back to Trash'
+      });
+    }
+
+    // Restoring would change the totals of a closed period
+    const closedPeriod = await findClosedPeriod(existing.rows[0].work_date, client);
+    if (closedPeriod) {
+      await client.query('ROLLBACK');
+      return renderLocked(res, closedPeriod);
+    }
+
+    const restored = await client.query(
+      'UPDATE work_records SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'work_record',
+      entityId: restored.rows[0].id,
+      employeeId: restored.rows[0].employee_id,
+      action: 'restore',
+      after: restored.rows[0]
+    });
+
+    await client.query('COMMIT');
+    res.redirect('/records/trash?success=' + encodeURIComponent('Record restored'));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring record:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to restore record. Please try again.',
+      backLink: '/records/trash',
+      backText: 'Back to Trash'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Permanently delete a trashed record (admins only)
+router.post('/:id/purge', requirePermission('records.purge'), async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid record ID.',
+      backLink: '/records/trash',
+      backText: 'Back to Trash'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Only records already in the trash can be purged
+    const purged = await client.query(
+      'DELETE FROM work_records WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+      [req.params.id]
+    );
+    if (purged.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Record not found in the trash. It may have been restored or purged already.',
+        backLink: '/records/trash',
+        backText: 'Back to Trash'
+      });
+    }
+
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'work_record',
+      entityId: purged.rows[0].id,
+      employeeId: purged.rows[0].employee_id,
+      action: 'purge',
+      before: purged.rows[0]
+    });
+
+    await client.query('COMMIT');
+    res.redirect('/records/trash?success=' + encodeURIComponent('Record permanently deleted'));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error purging record:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to delete record. Please try again.',
+      backLink: '/records/trash',
+      backText: 'Back to Trash'
+    });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { getBusinessDate, isValidMonth } = require('../services/dateService');
+const { formatCOP } = require('../services/formatService');
+const { getReportMonths, buildMonthlyPayrollWorkbook } = require('../services/reportService');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Reports: months with work records and their payroll workbook downloads
+router.get('/', requirePermission('reports.view'), async (req, res) => {
+  try {
+    res.render('reports/index', {
+      months: await getReportMonths(),
+      currentMonth: getBusinessDate().substring(0, 7),
+      formatCOP
+    });
+  } catch (error) {
+    console.error('Error loading reports:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load reports. Please try again.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  }
+});
+
+// Monthly payroll workbook (XLSX): a summary sheet and one detail sheet per employee
+router.get('/payroll', requirePermission('reports.view'), async (req, res) => {
+  const { month } = req.query;
+  if (!isValidMonth(month)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Please choose a valid month.',
+      backLink: '/reports',
+      backText: 'Back to Reports'
+    });
+  }
+
+  try {
+    const workbook = await buildMonthlyPayrollWorkbook(month);
+    const buffer = await workbook.xlsx.writeBuffer();
+    res.attachment(`payroll-${month}.xlsx`);
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Error building payroll report:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to build the payroll report. Please try again.',
+      backLink: '/reports',
+      backText: 'Back to Reports'
+    });
+  }
+});
+
+module.exports = router;
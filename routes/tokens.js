@@ -0,0 +1,106 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { getTimezone } = require('../services/dateService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requirePermission('tokens.manage'));
+
+// How many of the most recent links the list shows
+const MAX_LISTED_TOKENS = 200;
+
+// Validate ID is a positive integer
+function isValidId(id) {
+  const num = parseInt(id, 10);
+  return !isNaN(num) && num > 0;
+}
+
+// List issued attendance links, newest first
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT
+         de.id, de.sent_date, de.is_test, de.used, de.created_at, de.expires_at,
+         de.revoked_at, de.superseded_at, de.delivery_status,
+         er.email AS recipient_email,
+         u.username AS revoked_by_username,
+         (SELECT COUNT(*) FROM work_records wr WHERE wr.email_token = de.token AND wr.deleted_at IS NULL) AS record_count,
+         CASE
+           WHEN de.revoked_at IS NOT NULL THEN 'revoked'
+           WHEN de.superseded_at IS NOT NULL THEN 'replaced'
+           WHEN de.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+           ELSE 'active'
+         END AS status
+       FROM daily_emails de
+       LEFT JOIN email_recipients er ON de.recipient_id = er.id
+       LEFT JOIN users u ON de.revoked_by = u.id
+       ORDER BY de.sent_date DESC, de.created_at DESC, de.id DESC
+       LIMIT $1`,
+      [MAX_LISTED_TOKENS]
+    );
+
+    res.render('tokens/index', {
+      tokens: result.rows,
+      maxListed: MAX_LISTED_TOKENS,
+      timezone: getTimezone(),
+      success: req.query.success || null
+    });
+  } catch (error) {
+    console.error('Error fetching attendance links:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load attendance links. Please try again.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  }
+});
+
+// Revoke a link so it can no longer record attendance
+router.post('/:id/revoke', async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid link ID.',
+      backLink: '/tokens',
+      backText: 'Back to Attendance Links'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE daily_emails
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP),
+           revoked_by = COALESCE(revoked_by, $2)
+       WHERE id = $1
+       RETURNING sent_date`,
+      [req.params.id, req.session.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Attendance link not found.',
+        backLink: '/tokens',
+        backText: 'Back to Attendance Links'
+      });
+    }
+
+    const sentDate = new Date(result.rows[0].sent_date).toLocaleDateString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric'
+    });
+    res.redirect('/tokens?success=' + encodeURIComponent(`Link from ${sentDate} has been revoked`));
+  } catch (error) {
+    console.error('Error revoking attendance link:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to revoke the link. Please try again.',
+      backLink: '/tokens',
+      backText: 'Back to Attendance Links'
+    });
+  }
+});
+
+module.exports = router;
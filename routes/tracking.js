@@ -1,6 +1,18 @@
 const express = require('express');
 const crypto = require('crypto');
 const { pool } = require('../config/database');
+const { getTimezone } = require('../services/dateService');
+const { findClosedPeriod } = require('../services/payPeriodService');
+const { logAudit } = require('../services/auditService');
+const { getWageOn } = require('../services/wageService');
+const { getHolidayMultiplierOn } = require('../services/holidayService');
+const {
+  getOvertimeOptions,
+  parseWorkQuantity,
+  computeWageAmount,
+  isSameQuantity,
+  describeQuantity
+} = require('../services/workQuantityService');
 
 const router = express.Router();
 
@@ -60,8 +72,8 @@ function isValidUUID(str) {
 // Now expects a hashed/signed reference instead of plain ID
 function isValidEmployeeRef(ref) {
   // Accept either old-style numeric IDs (for backwards compatibility) or new signed tokens
-  // New format: base64url encoded, 32+ characters
-  if (/^[A-Za-z0-9_-]{32,}$/.test(ref)) {
+  // New format: base64url(employeeId:16-char signature), so at least 24 characters
+  if (/^[A-Za-z0-9_-]{24,}$/.test(ref)) {
     return true;
   }
   // Legacy: numeric ID (will be deprecated)
@@ -73,7 +85,7 @@ function isValidEmployeeRef(ref) {
 // Returns null if invalid or tampered
 function decodeEmployeeRef(ref, token) {
   // Try new signed format first
-  if (/^[A-Za-z0-9_-]{32,}$/.test(ref)) {
+  if (/^[A-Za-z0-9_-]{24,}$/.test(ref)) {
     try {
       // The ref is: base64url(employeeId:hmac(token+employeeId))
       const decoded = Buffer.from(ref.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
@@ -110,121 +122,609 @@ function decodeEmployeeRef(ref, token) {
   return null;
 }
 
-// Handle email link clicks (public route)
-router.get('/:token/:employeeRef', async (req, res) => {
-  const { token, employeeRef } = req.params;
-  const clientIp = req.ip || req.connection.remoteAddress;
+// SECURITY: Confirmation nonces. The global CSRF check skips /track/, so the confirmation
+// form carries its own signed nonce bound to the link, with an expiry, that is accepted once.
+const CONFIRMATION_TTL = 30 * 60 * 1000; // 30 minutes
+const usedConfirmations = new Map(); // nonce -> expiry
+
+function signConfirmation(token, employeeId, expires, random) {
+  const secret = process.env.SESSION_SECRET || 'change-this-secret';
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`confirm:${token}:${employeeId}:${expires}:${random}`)
+    .digest('hex');
+}
+
+function generateConfirmationNonce(token, employeeId) {
+  const expires = Date.now() + CONFIRMATION_TTL;
+  const random = crypto.randomBytes(16).toString('hex');
+  return `${expires}.${random}.${signConfirmation(token, employeeId, expires, random)}`;
+}
+
+// Returns null if the nonce is valid and unused (and marks it used), otherwise an error message
+function consumeConfirmationNonce(nonce, token, employeeId) {
+  const now = Date.now();
+
+  // Clean up expired entries
+  for (const [usedNonce, expiry] of usedConfirmations) {
+    if (expiry < now) usedConfirmations.delete(usedNonce);
+  }
+
+  const parts = typeof nonce === 'string' ? nonce.split('.') : [];
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0]) || !/^[0-9a-f]{32}$/.test(parts[1])) {
+    return 'This confirmation form is invalid. Please open the link from your email again.';
+  }
+
+  const [expiresStr, random, signature] = parts;
+  const expected = signConfirmation(token, employeeId, expiresStr, random);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'This confirmation form is invalid. Please open the link from your email again.';
+  }
+
+  const expires = parseInt(expiresStr, 10);
+  if (expires < now) {
+    return 'This confirmation page has expired. Please open the link from your email again.';
+  }
+
+  if (usedConfirmations.has(nonce)) {
+    return 'This confirmation was already submitted. Please open the link from your email again.';
+  }
+
+  usedConfirmations.set(nonce, expires);
+  return null;
+}
 
-  // SECURITY: Rate limit check
+// SECURITY: Rate limit check. Renders an error and returns false when over the limit.
+function enforceRateLimit(req, res) {
+  const clientIp = req.ip || req.connection.remoteAddress;
   const rateCheck = checkTrackingRateLimit(clientIp);
-  if (!rateCheck.allowed) {
-    if (rateCheck.lockedOut) {
-      return res.status(429).render('tracking/error', {
-        message: 'Too many requests. Please try again later.'
-      });
-    }
-    return res.status(429).render('tracking/error', {
-      message: 'Please wait a moment before trying again.'
+  if (rateCheck.allowed) return true;
+
+  if (rateCheck.lockedOut) {
+    res.status(429).render('tracking/error', {
+      message: 'Too many requests. Please try again later.'
     });
+    return false;
+  }
+  res.status(429).render('tracking/error', {
+    message: 'Please wait a moment before trying again.'
+  });
+  return false;
+}
+
+// SECURITY: Verify the signature on a multi-employee attendance link
+function isValidAttendanceSignature(token, signature) {
+  const secret = process.env.SESSION_SECRET || 'change-this-secret';
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`attendance:${token}`)
+    .digest('hex')
+    .substring(0, 16);
+  return typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Rate limit, validate and decode the link. Renders an error and returns null on failure.
+function resolveLink(req, res) {
+  const { token, employeeRef } = req.params;
+
+  if (!enforceRateLimit(req, res)) {
+    return null;
   }
 
   // Validate input parameters to prevent injection and bad requests
   if (!isValidUUID(token)) {
-    return res.render('tracking/error', {
+    res.render('tracking/error', {
       message: 'Invalid link format. Please use the link from your email.'
     });
+    return null;
   }
 
   if (!isValidEmployeeRef(employeeRef)) {
-    return res.render('tracking/error', {
+    res.render('tracking/error', {
       message: 'Invalid employee reference. Please use the link from your email.'
     });
+    return null;
   }
 
   // SECURITY: Decode and verify employee reference
   const employeeId = decodeEmployeeRef(employeeRef, token);
   if (employeeId === null) {
-    return res.render('tracking/error', {
+    res.render('tracking/error', {
       message: 'Invalid or expired link. Please use the link from your email.'
     });
+    return null;
+  }
+
+  return { token, employeeRef, employeeId };
+}
+
+// Load and check the daily email behind a token. Returns { error } or { dailyEmail }.
+async function loadDailyEmail(db, token, { forUpdate = false } = {}) {
+  // Lock the row for update to prevent concurrent submissions from recording twice
+  const emailResult = await db.query(
+    `SELECT id, sent_date, used, used_by_employee_id, is_test, superseded_at, recipient_id,
+            revoked_at, expires_at, expires_at <= CURRENT_TIMESTAMP AS expired,
+            (SELECT email FROM email_recipients er WHERE er.id = recipient_id) AS recipient_email
+     FROM daily_emails WHERE token = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [token]
+  );
+
+  if (emailResult.rows.length === 0) {
+    return { error: 'This link is invalid or has expired. Please check for a more recent email.' };
+  }
+
+  const dailyEmail = emailResult.rows[0];
+
+  // Test emails are for checking layout and delivery only
+  if (dailyEmail.is_test) {
+    return { error: 'This link is from a test email and cannot record attendance.' };
+  }
+
+  // A resend with new links replaced this email
+  if (dailyEmail.superseded_at) {
+    return { error: 'This link has been replaced by a newer email. Please use the most recent attendance email.' };
+  }
+
+  // An administrator turned this link off
+  if (dailyEmail.revoked_at) {
+    return { error: 'This link has been revoked by an administrator. Please contact them if you still need to record attendance.' };
+  }
+
+  // Links only work for a limited time after the email is sent
+  if (dailyEmail.expired) {
+    const expiredAt = new Date(dailyEmail.expires_at).toLocaleString('en-US', {
+      timeZone: getTimezone(),
+      dateStyle: 'long',
+      timeStyle: 'short'
+    });
+    return { error: `This link expired on ${expiredAt}. Please use the most recent attendance email.` };
+  }
+
+  // Records in a closed pay period are locked
+  const closedPeriod = await findClosedPeriod(dailyEmail.sent_date, db);
+  if (closedPeriod) {
+    return { error: 'The pay period for this date has already been closed. Please contact an administrator.' };
+  }
+
+  return { dailyEmail };
+}
+
+// Audit actor for changes made through an attendance link: nobody is logged in,
+// so the entry names the recipient the link was sent to and the client IP
+function linkActor(req, dailyEmail) {
+  return {
+    userId: null,
+    label: dailyEmail.recipient_email ? `Attendance link (${dailyEmail.recipient_email})` : 'Attendance link',
+    ipAddress: req.ip || null
+  };
+}
+
+// Load and check the daily email and employee behind a link.
+// Returns { error } or { dailyEmail, employee, existingRecord }.
+async function loadLinkContext(db, token, employeeId, { forUpdate = false } = {}) {
+  const { error, dailyEmail } = await loadDailyEmail(db, token, { forUpdate });
+  if (error) {
+    return { error };
+  }
+
+  // Verify employee exists and is active
+  const employeeResult = await db.query(
+    'SELECT id, first_name, last_name, active FROM employees WHERE id = $1',
+    [employeeId]
+  );
+
+  if (employeeResult.rows.length === 0) {
+    return { error: 'Employee not found. They may have been removed from the system.' };
+  }
+
+  const employee = employeeResult.rows[0];
+
+  if (!employee.active) {
+    return { error: 'This employee is no longer active in the system.' };
+  }
+
+  // Check if this employee is already registered for this date
+  const existingRecord = await db.query(
+    `SELECT id, day_type, hours_worked, overtime_hours, overtime_type, holiday_multiplier
+     FROM work_records WHERE employee_id = $1 AND work_date = $2 AND deleted_at IS NULL
+     ORDER BY id LIMIT 1`,
+    [employeeId, dailyEmail.sent_date]
+  );
+
+  return { dailyEmail, employee, existingRecord: existingRecord.rows[0] || null };
+}
+
+// Insert a work record from an email link, priced from the employee's wage in force on the date
+// and the Sunday/holiday surcharge for the date
+async function insertLinkRecord(client, { employeeId, dailyEmail, token, quantity }) {
+  const rate = await getWageOn(employeeId, dailyEmail.sent_date, client);
+  const priced = { ...quantity, holiday_multiplier: await getHolidayMultiplierOn(dailyEmail.sent_date, client) };
+  const inserted = await client.query(
+    `INSERT INTO work_records
+       (employee_id, work_date, day_type, hours_worked, overtime_hours, overtime_type, overtime_multiplier,
+        holiday_multiplier, daily_rate, wage_amount, email_token, recorded_by_recipient_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      employeeId, dailyEmail.sent_date, priced.day_type, priced.hours_worked, priced.overtime_hours,
+      priced.overtime_type, priced.overtime_multiplier, priced.holiday_multiplier,
+      rate, computeWageAmount(rate, priced), token, dailyEmail.recipient_id
+    ]
+  );
+  return inserted.rows[0];
+}
+
+// Quantity fields for one employee on the attendance form
+function attendanceQuantityInput(body, employeeId) {
+  return {
+    day_type: body[`day_type_${employeeId}`],
+    hours_worked: body[`hours_worked_${employeeId}`],
+    overtime_hours: body[`overtime_hours_${employeeId}`],
+    overtime_type: body[`overtime_type_${employeeId}`]
+  };
+}
+
+// Validate a multi-employee attendance link. Renders an error and returns null on failure.
+function resolveAttendanceLink(req, res) {
+  const { token, signature } = req.params;
+
+  if (!enforceRateLimit(req, res)) {
+    return null;
+  }
+
+  if (!isValidUUID(token) || !/^[0-9a-f]{16}$/.test(signature) || !isValidAttendanceSignature(token, signature)) {
+    res.render('tracking/error', {
+      message: 'Invalid link format. Please use the link from your email.'
+    });
+    return null;
+  }
+
+  return { token, signature };
+}
+
+// Active employees for the attendance form, with the first record (if any) already saved
+// for the date so its quantity can be shown and corrected
+async function getAttendanceList(db, workDate) {
+  const result = await db.query(
+    `SELECT e.id, e.first_name, e.last_name, wr.id IS NOT NULL AS recorded,
+            wr.day_type, wr.hours_worked, wr.overtime_hours, wr.overtime_type
+     FROM employees e
+     LEFT JOIN LATERAL (
+       SELECT id, day_type, hours_worked, overtime_hours, overtime_type
+       FROM work_records
+       WHERE employee_id = e.id AND work_date = $1 AND deleted_at IS NULL
+       ORDER BY id LIMIT 1
+     ) wr ON true
+     WHERE e.active = true
+     ORDER BY e.first_name, e.last_name`,
+    [workDate]
+  );
+  return result.rows;
+}
+
+// Attendance form listing every active employee (public route, read-only)
+router.get('/attendance/:token/:signature', async (req, res) => {
+  const link = resolveAttendanceLink(req, res);
+  if (!link) return;
+
+  try {
+    const { error, dailyEmail } = await loadDailyEmail(pool, link.token);
+    if (error) {
+      return res.render('tracking/error', { message: error });
+    }
+
+    const employees = await getAttendanceList(pool, dailyEmail.sent_date);
+
+    // Keep scanners from caching or indexing the form
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+
+    res.render('tracking/attendance', {
+      employees,
+      overtimeOptions: getOvertimeOptions(),
+      date: dailyEmail.sent_date,
+      action: `/track/attendance/${link.token}/${link.signature}`,
+      nonce: generateConfirmationNonce(link.token, 'attendance')
+    });
+  } catch (error) {
+    console.error('Error loading attendance form:', error);
+    res.render('tracking/error', {
+      message: 'An unexpected error occurred. Please try the link again, or contact support if the problem persists.'
+    });
+  }
+});
+
+// Save the attendance form: create or correct records for checked employees and remove unchecked ones
+router.post('/attendance/:token/:signature', async (req, res) => {
+  const link = resolveAttendanceLink(req, res);
+  if (!link) return;
+
+  let selected = req.body.employee_ids || [];
+  if (!Array.isArray(selected)) selected = [selected];
+  const selectedIds = new Set(
+    selected.map(id => parseInt(id, 10)).filter(id => !isNaN(id) && id > 0)
+  );
+
+  // Check the quantities before using up the nonce, so going back to fix them still works
+  const quantities = new Map();
+  for (const id of selectedIds) {
+    const { error, quantity } = parseWorkQuantity(attendanceQuantityInput(req.body, id));
+    if (error) {
+      return res.status(400).render('tracking/error', {
+        message: `${error}. Please go back and check the form.`
+      });
+    }
+    quantities.set(id, quantity);
+  }
+
+  // SECURITY: Anti-replay check in place of the session CSRF token
+  const nonceError = consumeConfirmationNonce(req.body.confirmation, link.token, 'attendance');
+  if (nonceError) {
+    return res.status(403).render('tracking/error', { message: nonceError });
   }
 
   const client = await pool.connect();
 
   try {
-    // Start transaction immediately to prevent race conditions
     await client.query('BEGIN');
 
-    // Lock the row for update to prevent concurrent clicks from recording twice
-    // SELECT FOR UPDATE will block other transactions trying to read this row
-    const emailResult = await client.query(
-      'SELECT id, sent_date, used, used_by_employee_id FROM daily_emails WHERE token = $1 FOR UPDATE',
-      [token]
+    const { error, dailyEmail } = await loadDailyEmail(client, link.token, { forUpdate: true });
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.render('tracking/error', { message: error });
+    }
+
+    // Only active employees can be changed from this form
+    const employeesResult = await client.query(
+      'SELECT id, first_name, last_name FROM employees WHERE active = true ORDER BY first_name, last_name'
+    );
+    const employees = employeesResult.rows;
+    const activeIds = employees.map(emp => emp.id);
+    const toKeep = activeIds.filter(id => selectedIds.has(id));
+    const toRemove = activeIds.filter(id => !selectedIds.has(id));
+
+    // Unchecked employees' records go to the trash, so a mistaken submission can be undone.
+    // Paid records are left alone; only a payment manager can override those from the record's edit page.
+    const removed = await client.query(
+      `UPDATE work_records SET deleted_at = CURRENT_TIMESTAMP
+       WHERE work_date = $1 AND employee_id = ANY($2::int[]) AND deleted_at IS NULL
+         AND payment_batch_id IS NULL
+       RETURNING *`,
+      [dailyEmail.sent_date, toRemove]
     );
+    for (const record of removed.rows) {
+      await logAudit(client, {
+        actor: linkActor(req, dailyEmail),
+        entityType: 'work_record',
+        entityId: record.id,
+        employeeId: record.employee_id,
+        action: 'delete',
+        before: record,
+        emailToken: link.token
+      });
+    }
 
-    if (emailResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.render('tracking/error', {
-        message: 'This link is invalid or has expired. Please check for a more recent email.'
+    // The form shows each employee's first record for the day, so that is the one corrected
+    const existing = await client.query(
+      `SELECT * FROM work_records
+       WHERE work_date = $1 AND employee_id = ANY($2::int[]) AND deleted_at IS NULL
+       ORDER BY id
+       FOR UPDATE`,
+      [dailyEmail.sent_date, toKeep]
+    );
+    const firstRecords = new Map();
+    for (const record of existing.rows) {
+      if (!firstRecords.has(record.employee_id)) firstRecords.set(record.employee_id, record);
+    }
+
+    let added = 0;
+    let updated = 0;
+    for (const emp of employees) {
+      if (!selectedIds.has(emp.id)) continue;
+      const quantity = quantities.get(emp.id);
+      const record = firstRecords.get(emp.id);
+
+      if (!record) {
+        const inserted = await insertLinkRecord(client, {
+          employeeId: emp.id,
+          dailyEmail,
+          token: link.token,
+          quantity
+        });
+        await logAudit(client, {
+          actor: linkActor(req, dailyEmail),
+          entityType: 'work_record',
+          entityId: inserted.id,
+          employeeId: emp.id,
+          action: 'create',
+          after: inserted,
+          emailToken: link.token
+        });
+        quantity.holiday_multiplier = inserted.holiday_multiplier;
+        added++;
+        continue;
+      }
+
+      // Paid records stay as they were paid
+      if (record.payment_batch_id) {
+        quantities.set(emp.id, record);
+        continue;
+      }
+
+      // Corrections keep the record's own daily rate and holiday surcharge
+      quantity.holiday_multiplier = record.holiday_multiplier;
+      if (isSameQuantity(record, quantity)) continue;
+
+      // Keep the overtime surcharge too if the overtime type is unchanged
+      if (quantity.overtime_type && quantity.overtime_type === record.overtime_type && record.overtime_multiplier) {
+        quantity.overtime_multiplier = record.overtime_multiplier;
+      }
+      const changed = await client.query(
+        `UPDATE work_records
+         SET day_type = $1, hours_worked = $2, overtime_hours = $3, overtime_type = $4,
+             overtime_multiplier = $5, wage_amount = $6
+         WHERE id = $7
+         RETURNING *`,
+        [
+          quantity.day_type, quantity.hours_worked, quantity.overtime_hours, quantity.overtime_type,
+          quantity.overtime_multiplier, computeWageAmount(record.daily_rate, quantity), record.id
+        ]
+      );
+      await logAudit(client, {
+        actor: linkActor(req, dailyEmail),
+        entityType: 'work_record',
+        entityId: record.id,
+        employeeId: emp.id,
+        action: 'update',
+        before: record,
+        after: changed.rows[0],
+        emailToken: link.token
       });
+      updated++;
     }
 
-    const dailyEmail = emailResult.rows[0];
+    await client.query('UPDATE daily_emails SET used = true WHERE id = $1', [dailyEmail.id]);
 
-    // Verify employee exists and is active, get their current wage
-    const employeeResult = await client.query(
-      'SELECT id, first_name, last_name, daily_wage, active FROM employees WHERE id = $1',
-      [employeeId]
-    );
+    await client.query('COMMIT');
 
-    if (employeeResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.render('tracking/error', {
-        message: 'Employee not found. They may have been removed from the system.'
+    res.render('tracking/attendance-saved', {
+      date: dailyEmail.sent_date,
+      present: employees
+        .filter(emp => selectedIds.has(emp.id))
+        .map(emp => ({ ...emp, worked: describeQuantity(quantities.get(emp.id)) })),
+      added,
+      updated,
+      removed: new Set(removed.rows.map(r => r.employee_id)).size,
+      formLink: `/track/attendance/${link.token}/${link.signature}`
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving attendance form:', error);
+    res.render('tracking/error', {
+      message: 'An unexpected error occurred. Please try the link again, or contact support if the problem persists.'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Handle email link clicks (public route). This only shows a confirmation page:
+// mail scanners and link previews fetch every link, so GET must never record anything.
+router.get('/:token/:employeeRef', async (req, res) => {
+  const link = resolveLink(req, res);
+  if (!link) return;
+
+  try {
+    const context = await loadLinkContext(pool, link.token, link.employeeId);
+
+    if (context.error) {
+      return res.render('tracking/error', { message: context.error });
+    }
+
+    const employeeName = `${context.employee.first_name} ${context.employee.last_name}`;
+
+    if (context.existingRecord) {
+      return res.render('tracking/success', {
+        employee: employeeName,
+        date: context.dailyEmail.sent_date,
+        worked: describeQuantity(context.existingRecord)
       });
     }
 
-    const employee = employeeResult.rows[0];
+    // Keep scanners from caching or indexing the confirmation page
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
 
-    if (!employee.active) {
+    res.render('tracking/confirm', {
+      employee: employeeName,
+      overtimeOptions: getOvertimeOptions(),
+      date: context.dailyEmail.sent_date,
+      action: `/track/${link.token}/${link.employeeRef}`,
+      nonce: generateConfirmationNonce(link.token, link.employeeId)
+    });
+  } catch (error) {
+    console.error('Error loading tracking link:', error);
+    res.render('tracking/error', {
+      message: 'An unexpected error occurred. Please try clicking the link again, or contact support if the problem persists.'
+    });
+  }
+});
+
+// Record attendance after the confirmation page is submitted (public route)
+router.post('/:token/:employeeRef', async (req, res) => {
+  const link = resolveLink(req, res);
+  if (!link) return;
+
+  // Check the quantity before using up the nonce, so going back to fix it still works
+  const { error: quantityError, quantity } = parseWorkQuantity(req.body);
+  if (quantityError) {
+    return res.status(400).render('tracking/error', {
+      message: `${quantityError}. Please go back and check the form.`
+    });
+  }
+
+  // SECURITY: Anti-replay check in place of the session CSRF token
+  const nonceError = consumeConfirmationNonce(req.body.confirmation, link.token, link.employeeId);
+  if (nonceError) {
+    return res.status(403).render('tracking/error', { message: nonceError });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // Start transaction immediately to prevent race conditions
+    await client.query('BEGIN');
+
+    const context = await loadLinkContext(client, link.token, link.employeeId, { forUpdate: true });
+
+    if (context.error) {
       await client.query('ROLLBACK');
-      return res.render('tracking/error', {
-        message: 'This employee is no longer active in the system.'
-      });
+      return res.render('tracking/error', { message: context.error });
     }
 
-    // Check if this employee is already registered for this date
-    const existingRecord = await client.query(
-      'SELECT id FROM work_records WHERE employee_id = $1 AND work_date = $2',
-      [employeeId, dailyEmail.sent_date]
-    );
+    const { dailyEmail, employee } = context;
 
-    if (existingRecord.rows.length > 0) {
+    if (context.existingRecord) {
       // Already registered - just show success without inserting duplicate
       await client.query('ROLLBACK');
       return res.render('tracking/success', {
         employee: `${employee.first_name} ${employee.last_name}`,
-        date: dailyEmail.sent_date
+        date: dailyEmail.sent_date,
+        worked: describeQuantity(context.existingRecord)
       });
     }
 
-    // Insert work record with current wage
-    await client.query(
-      'INSERT INTO work_records (employee_id, work_date, wage_amount, email_token) VALUES ($1, $2, $3, $4)',
-      [employeeId, dailyEmail.sent_date, employee.daily_wage || 0, token]
-    );
+    // Insert work record priced from the wage in force on the email's date
+    const inserted = await insertLinkRecord(client, {
+      employeeId: link.employeeId,
+      dailyEmail,
+      token: link.token,
+      quantity
+    });
+    await logAudit(client, {
+      actor: linkActor(req, dailyEmail),
+      entityType: 'work_record',
+      entityId: inserted.id,
+      employeeId: link.employeeId,
+      action: 'create',
+      after: inserted,
+      emailToken: link.token
+    });
 
     // Mark token as used
     await client.query(
       'UPDATE daily_emails SET used = true, used_by_employee_id = $1 WHERE id = $2',
-      [employeeId, dailyEmail.id]
+      [link.employeeId, dailyEmail.id]
     );
 
     await client.query('COMMIT');
 
     res.render('tracking/success', {
       employee: `${employee.first_name} ${employee.last_name}`,
-      date: dailyEmail.sent_date
+      date: dailyEmail.sent_date,
+      worked: describeQuantity(inserted)
     });
 
   } catch (error) {
@@ -0,0 +1,399 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { ROLES, requireAuth, requirePermission } = require('../middleware/auth');
+const { getPasswordErrors, hashPassword } = require('../services/passwordPolicy');
+const { sendPasswordResetEmail, getAppUrl } = require('../services/emailService');
+const { actorFromRequest, logAudit } = require('../services/auditService');
+const { destroyUserSessions } = require('../services/sessionService');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requirePermission('users.manage'));
+
+// Validation constants
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,50}$/;
+const RESET_LINK_TTL_MINUTES = 60;
+
+// Validate ID is a positive integer
+function isValidId(id) {
+  const num = parseInt(id, 10);
+  return !isNaN(num) && num > 0;
+}
+
+// Email validation (optional field)
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') return false;
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email.trim()) && email.trim().length <= 254;
+}
+
+// Number of active admins other than the given user
+async function countOtherActiveAdmins(userId) {
+  const result = await pool.query(
+    "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND active = true AND id <> $1",
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+// List users
+router.get('/', async (req, res) => {
+  try {
+    const [result, setting] = await Promise.all([
+      pool.query(
+        'SELECT id, username, email, role, active, totp_enabled, created_at FROM users ORDER BY active DESC, username ASC'
+      ),
+      pool.query("SELECT value FROM app_settings WHERE key = 'require_2fa'")
+    ]);
+    res.render('users/index', {
+      users: result.rows,
+      twoFactorRequired: setting.rows.length > 0 && setting.rows[0].value === 'true',
+      success: req.query.success || null
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load users. Please try again.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
+    });
+  }
+});
+
+// Require (or stop requiring) two-factor authentication for every user
+router.post('/settings/require-2fa', async (req, res) => {
+  const required = req.body.require_2fa === 'on';
+
+  try {
+    // Turning it on without 2FA yourself would lock you onto the setup page
+    const self = await pool.query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    if (required && !self.rows[0].totp_enabled) {
+      return res.status(400).render('error', {
+        title: 'Set Up 2FA First',
+        message: 'Turn on two-factor authentication for your own account before requiring it for everyone.',
+        backLink: '/account/2fa',
+        backText: 'Set Up 2FA'
+      });
+    }
+
+    await pool.query(
+      `INSERT INTO app_settings (key, value, updated_by, updated_at)
+       VALUES ('require_2fa', $1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at`,
+      [required ? 'true' : 'false', req.user.id]
+    );
+    res.redirect('/users?success=' + encodeURIComponent(required
+      ? 'Two-factor authentication is now required. Users without it must set it up at their next page load.'
+      : 'Two-factor authentication is now optional.'));
+  } catch (error) {
+    console.error('Error updating 2FA requirement:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to update the setting. Please try again.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+});
+
+// New user form
+router.get('/new', (req, res) => {
+  res.render('users/new', { roles: ROLES, error: null, formData: { role: 'viewer' } });
+});
+
+// Create user
+router.post('/', async (req, res) => {
+  const { username, email, role, password, confirm_password } = req.body;
+  const formData = { username, email, role };
+
+  const renderError = error => res.render('users/new', { roles: ROLES, error, formData });
+
+  const trimmedUsername = (username || '').trim();
+  if (!USERNAME_PATTERN.test(trimmedUsername)) {
+    return renderError('Username must be 3-50 characters: letters, numbers, dots, dashes or underscores');
+  }
+  if (email && !isValidEmail(email)) {
+    return renderError('Please enter a valid email address (e.g., name@example.com)');
+  }
+  if (!ROLES.includes(role)) {
+    return renderError('Please select a role');
+  }
+  const passwordErrors = getPasswordErrors(password, trimmedUsername);
+  if (passwordErrors.length > 0) {
+    return renderError(passwordErrors[0]);
+  }
+  if (password !== confirm_password) {
+    return renderError('Passwords do not match');
+  }
+
+  try {
+    const existing = await pool.query('SELECT id FROM users WHERE LOWER(username) = LOWER($1)', [trimmedUsername]);
+    if (existing.rows.length > 0) {
+      return renderError('That username is already taken');
+    }
+
+    const passwordHash = await hashPassword(password);
+    await pool.query(
+      'INSERT INTO users (username, password_hash, email, role) VALUES ($1, $2, $3, $4)',
+      [trimmedUsername, passwordHash, email ? email.trim().toLowerCase() : null, role]
+    );
+    res.redirect('/users?success=' + encodeURIComponent(`User ${trimmedUsername} created`));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    renderError('Unable to create user. Please try again.');
+  }
+});
+
+// Edit user form
+router.get('/:id/edit', async (req, res) => {
+  if (!isValidId(req.params.id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid user ID.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, role, active, totp_enabled FROM users WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'User not found.',
+        backLink: '/users',
+        backText: 'Back to Users'
+      });
+    }
+
+    res.render('users/edit', { user: result.rows[0], roles: ROLES, error: null, formData: null });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load user details. Please try again.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+});
+
+// Update user role, email and status
+router.post('/:id', async (req, res) => {
+  const { email, role, active } = req.body;
+  const id = req.params.id;
+
+  if (!isValidId(id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid user ID.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+
+  let user;
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, role, active, totp_enabled FROM users WHERE id = $1',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'User not found.',
+        backLink: '/users',
+        backText: 'Back to Users'
+      });
+    }
+    user = result.rows[0];
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    return res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to load user. Please try again.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+
+  const isActive = active === 'on';
+  const formData = { email, role, active: isActive };
+  const renderError = error => res.render('users/edit', { user, roles: ROLES, error, formData });
+
+  if (email && !isValidEmail(email)) {
+    return renderError('Please enter a valid email address (e.g., name@example.com)');
+  }
+  if (!ROLES.includes(role)) {
+    return renderError('Please select a role');
+  }
+
+  // Admins can't lock themselves out
+  if (user.id === req.user.id && (role !== user.role || !isActive)) {
+    return renderError('You cannot change your own role or deactivate yourself');
+  }
+
+  try {
+    // There must always be at least one active admin
+    const removesAdmin = user.role === 'admin' && user.active && (role !== 'admin' || !isActive);
+    if (removesAdmin && await countOtherActiveAdmins(user.id) === 0) {
+      return renderError('This is the only active admin. Make another user an admin first.');
+    }
+
+    await pool.query(
+      'UPDATE users SET email = $1, role = $2, active = $3 WHERE id = $4',
+      [email ? email.trim().toLowerCase() : null, role, isActive, id]
+    );
+    res.redirect('/users?success=' + encodeURIComponent(`User ${user.username} updated`));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    renderError('Unable to update user. Please try again.');
+  }
+});
+
+// Email the user a single-use, time-limited link to choose a new password
+router.post('/:id/reset-password', async (req, res) => {
+  const id = req.params.id;
+
+  if (!isValidId(id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid user ID.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+
+  let resetId = null;
+  try {
+    const result = await pool.query('SELECT id, username, email, active FROM users WHERE id = $1', [id]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'User not found.',
+        backLink: '/users',
+        backText: 'Back to Users'
+      });
+    }
+
+    if (!user.active || !user.email) {
+      return res.status(400).render('error', {
+        title: 'Cannot Send Reset Link',
+        message: !user.active
+          ? 'This user is deactivated. Reactivate them before resetting their password.'
+          : 'This user has no email address. Add one before sending a reset link.',
+        backLink: `/users/${user.id}/edit`,
+        backText: 'Edit User'
+      });
+    }
+
+    // SECURITY: Only the hash is stored; the raw token exists only in the email
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+    // A new link replaces any earlier unused ones
+    await pool.query(
+      'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    const inserted = await pool.query(
+      `INSERT INTO password_resets (user_id, token_hash, created_by, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+       RETURNING id`,
+      [user.id, tokenHash, req.user.id, RESET_LINK_TTL_MINUTES]
+    );
+    resetId = inserted.rows[0].id;
+
+    await sendPasswordResetEmail(user.email, {
+      username: user.username,
+      resetLink: `${getAppUrl()}/reset-password/${token}`,
+      expiresMinutes: RESET_LINK_TTL_MINUTES
+    });
+
+    res.redirect('/users?success=' + encodeURIComponent(`Password reset link sent to ${user.email}`));
+  } catch (error) {
+    console.error('Error sending password reset link:', error);
+    // Don't leave a live link behind that nobody received
+    if (resetId) {
+      await pool.query('DELETE FROM password_resets WHERE id = $1', [resetId]).catch(() => {});
+    }
+    res.status(500).render('error', {
+      title: 'Error',
+      message: `Unable to send the password reset link. ${error.message}`,
+      backLink: `/users/${id}/edit`,
+      backText: 'Back to User'
+    });
+  }
+});
+
+// Turn off a user's 2FA when they lost their phone and recovery codes. Their sessions end and
+// they sign in with their password alone (and must enroll again if 2FA is required).
+router.post('/:id/reset-2fa', async (req, res) => {
+  const id = req.params.id;
+
+  if (!isValidId(id)) {
+    return res.status(400).render('error', {
+      title: 'Invalid Request',
+      message: 'Invalid user ID.',
+      backLink: '/users',
+      backText: 'Back to Users'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const before = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [id]);
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'User not found.',
+        backLink: '/users',
+        backText: 'Back to Users'
+      });
+    }
+    const updated = await client.query(
+      `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [id]);
+    // Whoever holds the lost phone is signed out; an admin resetting their own 2FA stays logged in
+    await destroyUserSessions(client, id, String(id) === String(req.user.id) ? req.sessionID : null);
+    await logAudit(client, {
+      actor: actorFromRequest(req),
+      entityType: 'user',
+      entityId: updated.rows[0].id,
+      action: 'update',
+      before: before.rows[0],
+      after: updated.rows[0]
+    });
+
+    await client.query('COMMIT');
+    res.redirect('/users?success=' + encodeURIComponent(`Two-factor authentication reset for ${updated.rows[0].username}`));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting 2FA:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to reset two-factor authentication. Please try again.',
+      backLink: `/users/${id}/edit`,
+      backText: 'Back to User'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
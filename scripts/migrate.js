@@ -0,0 +1,46 @@
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { getMigrationStatus, runPendingMigrations } = require('../config/migrations');
+
+// Usage:
+//   npm run migrate          apply pending migrations
+//   npm run migrate:status   list applied and pending migrations
+async function printStatus() {
+  const { migrations, unknown } = await getMigrationStatus(pool);
+
+  migrations.forEach(m => {
+    const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'PENDING';
+    console.log(`  ${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+  });
+  unknown.forEach(m => {
+    console.log(`  ${String(m.version).padStart(3, '0')}_${m.name}  applied, but no migration file (newer release?)`);
+  });
+
+  const pending = migrations.filter(m => !m.applied_at).length;
+  console.log(pending === 0 ? 'Database is up to date.' : `${pending} pending migration(s).`);
+  return pending;
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+
+  if (command === 'status') {
+    const pending = await printStatus();
+    // Non-zero exit lets deploy scripts detect an out-of-date database
+    process.exitCode = pending > 0 ? 2 : 0;
+  } else if (command === 'up') {
+    const applied = await runPendingMigrations(pool);
+    console.log(applied.length === 0 ? 'No pending migrations.' : `Applied ${applied.length} migration(s).`);
+  } else {
+    console.error(`Unknown command "${command}". Use "status" or "up".`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -7,15 +7,25 @@ const path = require('path');
 const crypto = require('crypto');
 
 const { pool, initializeDatabase } = require('./config/database');
-const { requireAuth } = require('./middleware/auth');
+const { requireAuth, requirePermission } = require('./middleware/auth');
 const { startScheduler } = require('./services/scheduler');
-const { sendTestEmail } = require('./services/emailService');
+const { getBusinessDate, getFirstDayOfMonth, validateTimezone } = require('./services/dateService');
+const { sendDailyEmail, sendTestEmail, previewDailyEmail, getTodaysEmail } = require('./services/emailService');
+const { getEmailSkipReason } = require('./services/holidayService');
+const { getOutstandingBalances } = require('./services/paymentService');
 
 const authRoutes = require('./routes/auth');
 const employeeRoutes = require('./routes/employees');
 const recordRoutes = require('./routes/records');
 const trackingRoutes = require('./routes/tracking');
 const recipientRoutes = require('./routes/recipients');
+const periodRoutes = require('./routes/periods');
+const tokenRoutes = require('./routes/tokens');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const holidayRoutes = require('./routes/holidays');
+const paymentRoutes = require('./routes/payments');
+const reportRoutes = require('./routes/reports');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -43,6 +53,14 @@ if (isProduction) {
   console.warn('WARNING: Using default session secret. Set SESSION_SECRET environment variable for production!');
 }
 
+// Business dates are computed in TIMEZONE, so an invalid zone would break every date
+try {
+  validateTimezone();
+} catch (error) {
+  console.error(`FATAL: TIMEZONE "${process.env.TIMEZONE}" is not a valid IANA time zone (e.g. America/Bogota)`);
+  process.exit(1);
+}
+
 // Middleware
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -79,11 +97,24 @@ if (isProduction) {
 }
 
 app.use(express.static(path.join(__dirname, 'public')));
+// CSV imports post the whole file as a form field
+app.use(['/employees/import', '/records/import'], express.urlencoded({ extended: true, limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
+// Set once migrations have run; until then (or if they failed) the health check reports not ready
+let databaseReady = false;
+let databaseError = null;
+
 // Health check endpoint (before session middleware)
 app.get('/health', (req, res) => {
+  if (!databaseReady) {
+    return res.status(503).json({
+      status: databaseError ? 'error' : 'starting',
+      error: databaseError ? 'Database initialization failed' : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
@@ -156,35 +187,67 @@ app.use('/employees', employeeRoutes);
 app.use('/records', recordRoutes);
 app.use('/track', trackingRoutes);
 app.use('/recipients', recipientRoutes);
+app.use('/periods', periodRoutes);
+app.use('/tokens', tokenRoutes);
+app.use('/users', userRoutes);
+app.use('/audit', auditRoutes);
+app.use('/holidays', holidayRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/reports', reportRoutes);
+
+// Load dashboard data (shared by the dashboard and the email actions that re-render it)
+async function getDashboardData(userId) {
+  const firstDayOfMonth = getFirstDayOfMonth();
+
+  const [activeEmployees, recordsThisMonth, activeRecipients, recentRecords, todaysEmail, user, emailSkipReason, outstanding] = await Promise.all([
+    pool.query('SELECT COUNT(*) as count FROM employees WHERE active = true'),
+    pool.query('SELECT COUNT(*) as count FROM work_records WHERE work_date >= $1 AND deleted_at IS NULL', [firstDayOfMonth]),
+    pool.query('SELECT COUNT(*) as count FROM email_recipients WHERE active = true'),
+    pool.query(`
+      SELECT wr.work_date, e.first_name, e.last_name
+      FROM work_records wr
+      JOIN employees e ON wr.employee_id = e.id
+      WHERE wr.deleted_at IS NULL
+      ORDER BY wr.work_date DESC, wr.recorded_at DESC
+      LIMIT 5
+    `),
+    getTodaysEmail(),
+    pool.query('SELECT email FROM users WHERE id = $1', [userId]),
+    getEmailSkipReason(getBusinessDate()),
+    getOutstandingBalances()
+  ]);
+
+  return {
+    stats: {
+      activeEmployees: activeEmployees.rows[0].count,
+      recordsThisMonth: recordsThisMonth.rows[0].count,
+      activeRecipients: activeRecipients.rows[0].count
+    },
+    recentRecords: recentRecords.rows,
+    todaysEmail,
+    emailSkipReason,
+    outstanding,
+    userEmail: user.rows[0] ? user.rows[0].email : null
+  };
+}
+
+// Render the dashboard with the result of an email action
+async function renderDashboardWithResult(req, res, emailResult) {
+  try {
+    const data = await getDashboardData(req.session.userId);
+    res.render('dashboard', { ...data, emailResult });
+  } catch (dashboardError) {
+    console.error('Error loading dashboard after email send:', dashboardError);
+    // Fallback: redirect with a simple message
+    res.redirect('/dashboard');
+  }
+}
 
 // Dashboard
 app.get('/dashboard', requireAuth, async (req, res) => {
   try {
-    const now = new Date();
-    const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-
-    const [activeEmployees, recordsThisMonth, activeRecipients, recentRecords] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count FROM employees WHERE active = true'),
-      pool.query('SELECT COUNT(*) as count FROM work_records WHERE work_date >= $1', [firstDayOfMonth]),
-      pool.query('SELECT COUNT(*) as count FROM email_recipients WHERE active = true'),
-      pool.query(`
-        SELECT wr.work_date, e.first_name, e.last_name
-        FROM work_records wr
-        JOIN employees e ON wr.employee_id = e.id
-        ORDER BY wr.work_date DESC, wr.recorded_at DESC
-        LIMIT 5
-      `)
-    ]);
-
-    res.render('dashboard', {
-      stats: {
-        activeEmployees: activeEmployees.rows[0].count,
-        recordsThisMonth: recordsThisMonth.rows[0].count,
-        activeRecipients: activeRecipients.rows[0].count
-      },
-      recentRecords: recentRecords.rows,
-      emailResult: null
-    });
+    const data = await getDashboardData(req.session.userId);
+    res.render('dashboard', { ...data, emailResult: null });
   } catch (error) {
     console.error('Dashboard error:', error);
     res.status(500).render('error', {
@@ -196,48 +259,71 @@ app.get('/dashboard', requireAuth, async (req, res) => {
   }
 });
 
-// Send test email
-app.post('/send-test-email', requireAuth, async (req, res) => {
+// Send today's email (does nothing if it was already sent)
+app.post('/send-daily-email', requireAuth, requirePermission('emails.send'), async (req, res) => {
   let emailResult;
 
   try {
-    emailResult = await sendTestEmail();
+    emailResult = await sendDailyEmail();
+  } catch (error) {
+    console.error('Send daily email error:', error);
+    emailResult = { success: false, message: 'An unexpected error occurred. Please try again.' };
+  }
+
+  await renderDashboardWithResult(req, res, emailResult);
+});
+
+// Resend today's email, either with the same links or with new ones
+app.post('/resend-daily-email', requireAuth, requirePermission('emails.send'), async (req, res) => {
+  const replaceToken = req.body.mode === 'replace';
+  let emailResult;
+
+  try {
+    emailResult = await sendDailyEmail({ resend: true, replaceToken });
+  } catch (error) {
+    console.error('Resend daily email error:', error);
+    emailResult = { success: false, message: 'An unexpected error occurred. Please try again.' };
+  }
+
+  await renderDashboardWithResult(req, res, emailResult);
+});
+
+// Send a test email to the logged-in user only; its links cannot record attendance
+app.post('/send-test-email', requireAuth, requirePermission('emails.send'), async (req, res) => {
+  let emailResult;
+
+  try {
+    // Test mode only ever sends to the logged-in user's own address
+    const user = await pool.query('SELECT email FROM users WHERE id = $1', [req.session.userId]);
+    const userEmail = user.rows[0] ? user.rows[0].email : null;
+    if (!userEmail) {
+      return renderDashboardWithResult(req, res, {
+        success: false,
+        message: 'Your user account has no email address. Add one to your account under Users, then send the test again.'
+      });
+    }
+    emailResult = await sendTestEmail(userEmail);
   } catch (error) {
     console.error('Send test email error:', error);
     emailResult = { success: false, message: 'An unexpected error occurred. Please try again.' };
   }
 
-  // Always try to render the dashboard with results
+  await renderDashboardWithResult(req, res, emailResult);
+});
+
+// Preview today's email without sending it
+app.get('/email-preview', requireAuth, requirePermission('emails.send'), async (req, res) => {
   try {
-    const now = new Date();
-    const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-
-    const [activeEmployees, recordsThisMonth, activeRecipients, recentRecords] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count FROM employees WHERE active = true'),
-      pool.query('SELECT COUNT(*) as count FROM work_records WHERE work_date >= $1', [firstDayOfMonth]),
-      pool.query('SELECT COUNT(*) as count FROM email_recipients WHERE active = true'),
-      pool.query(`
-        SELECT wr.work_date, e.first_name, e.last_name
-        FROM work_records wr
-        JOIN employees e ON wr.employee_id = e.id
-        ORDER BY wr.work_date DESC, wr.recorded_at DESC
-        LIMIT 5
-      `)
-    ]);
-
-    res.render('dashboard', {
-      stats: {
-        activeEmployees: activeEmployees.rows[0].count,
-        recordsThisMonth: recordsThisMonth.rows[0].count,
-        activeRecipients: activeRecipients.rows[0].count
-      },
-      recentRecords: recentRecords.rows,
-      emailResult
+    const preview = await previewDailyEmail();
+    res.render('email-preview', { preview });
+  } catch (error) {
+    console.error('Email preview error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Unable to render the email preview. Please check the email templates.',
+      backLink: '/dashboard',
+      backText: 'Return to Dashboard'
     });
-  } catch (dashboardError) {
-    console.error('Error loading dashboard after email send:', dashboardError);
-    // Fallback: redirect with a simple message
-    res.redirect('/dashboard');
   }
 });
 
@@ -278,11 +364,13 @@ async function start() {
   try {
     await initializeDatabase();
     console.log('Database initialized');
+    databaseReady = true;
     startScheduler();
   } catch (error) {
+    databaseError = error;
     console.error('Database initialization failed:', error.message);
     console.error('Full error:', error);
-    // Don't exit - keep server running so we can see logs
+    // Don't exit - keep server running so we can see logs, but /health stays 503
   }
 }
 
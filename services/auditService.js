@@ -0,0 +1,109 @@
+const { toDateString } = require('./dateService');
+
+// Fields recorded for each audited entity, with how to normalize them so values
+// read back from the database compare equal to values about to be written
+const AUDITED_FIELDS = {
+  employee: { first_name: String, last_name: String, active: Boolean },
+  employee_wage: { daily_wage: Number, effective_from: toDateString },
+  work_record: {
+    employee_id: Number,
+    work_date: toDateString,
+    day_type: String,
+    hours_worked: Number,
+    overtime_hours: Number,
+    overtime_type: String,
+    holiday_multiplier: Number,
+    daily_rate: Number,
+    wage_amount: Number,
+    payment_batch_id: Number
+  },
+  email_recipient: { email: String, active: Boolean },
+  adjustment: {
+    employee_id: Number,
+    adjustment_date: toDateString,
+    adjustment_type: String,
+    amount: Number,
+    loan_id: Number,
+    notes: String
+  },
+  loan: {
+    employee_id: Number,
+    loan_date: toDateString,
+    principal: Number,
+    installment_amount: Number,
+    notes: String
+  },
+  payment_batch: {
+    start_date: toDateString,
+    end_date: toDateString,
+    payment_date: toDateString,
+    method: String,
+    reference: String,
+    total_amount: Number,
+    record_count: Number
+  },
+  user: { username: String, totp_enabled: Boolean }
+};
+
+const ENTITY_TYPES = Object.keys(AUDITED_FIELDS);
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// The logged-in user making a change
+function actorFromRequest(req) {
+  return {
+    userId: req.user.id,
+    label: req.user.username,
+    ipAddress: req.ip || null
+  };
+}
+
+// The audited fields of a row, normalized
+function snapshot(entityType, row) {
+  if (!row) return null;
+
+  const data = {};
+  for (const [field, normalize] of Object.entries(AUDITED_FIELDS[entityType])) {
+    const value = row[field];
+    data[field] = value === null || value === undefined ? null : normalize(value);
+  }
+  return data;
+}
+
+// Append an entry to the audit log. Pass the same client as the change itself so
+// both commit or roll back together. Updates keep only the fields that changed
+// and are skipped entirely when nothing did.
+async function logAudit(db, { actor, entityType, entityId, action, before = null, after = null, employeeId = null, emailToken = null }) {
+  if (!AUDITED_FIELDS[entityType] || !ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit entry: ${entityType} ${action}`);
+  }
+
+  let beforeData = snapshot(entityType, before);
+  let afterData = snapshot(entityType, after);
+
+  if (action === 'update') {
+    const changed = Object.keys(afterData).filter(field => beforeData[field] !== afterData[field]);
+    if (changed.length === 0) return;
+    beforeData = Object.fromEntries(changed.map(field => [field, beforeData[field]]));
+    afterData = Object.fromEntries(changed.map(field => [field, afterData[field]]));
+  }
+
+  await db.query(
+    `INSERT INTO audit_log
+       (actor_user_id, actor_label, entity_type, entity_id, employee_id, action, before_data, after_data, email_token, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      actor.userId || null,
+      actor.label,
+      entityType,
+      entityId,
+      employeeId,
+      action,
+      beforeData ? JSON.stringify(beforeData) : null,
+      afterData ? JSON.stringify(afterData) : null,
+      emailToken,
+      actor.ipAddress || null
+    ]
+  );
+}
+
+module.exports = { ENTITY_TYPES, ACTIONS, actorFromRequest, logAudit };
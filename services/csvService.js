@@ -0,0 +1,111 @@
+// CSV reading and writing (RFC 4180) for exports and imports. Exports start with a
+// byte order mark and use CRLF so Excel opens names with accents correctly.
+const BOM = '\ufeff';
+
+// Text a spreadsheet would run as a formula gets a leading apostrophe
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build a CSV document from column definitions ({ header, value: row => value }) and rows
+function toCSV(columns, rows) {
+  const lines = [columns.map(column => escapeValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeValue(column.value(row))).join(','));
+  }
+  return BOM + lines.join('\r\n') + '\r\n';
+}
+
+// Split CSV text into records of fields, each with the file line it starts on.
+// Returns { error } or { records: [{ line, fields }] }.
+function parseCSV(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.startsWith(BOM) ? 1 : 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Blank lines are ignored
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    return { error: `Line ${recordLine}: a quoted value is never closed` };
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return { records };
+}
+
+// Parse CSV text with a header row into rows keyed by lowercased header names.
+// Returns { error } or { headers, rows: [{ line, values }] }.
+function parseCSVWithHeaders(text, { requiredHeaders = [] } = {}) {
+  const { error, records } = parseCSV(text || '');
+  if (error) {
+    return { error };
+  }
+  if (records.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const headers = records[0].fields.map(header => header.trim().toLowerCase());
+  const missing = requiredHeaders.filter(header => !headers.includes(header));
+  if (missing.length > 0) {
+    return { error: `Missing column(s): ${missing.join(', ')}` };
+  }
+
+  const rows = records.slice(1).map(record => ({
+    line: record.line,
+    values: Object.fromEntries(headers.map((header, index) => [header, (record.fields[index] || '').trim()]))
+  }));
+  return { headers, rows };
+}
+
+module.exports = {
+  toCSV,
+  parseCSV,
+  parseCSVWithHeaders
+};
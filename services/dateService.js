@@ -0,0 +1,76 @@
+// Business dates (work dates, email send dates) follow TIMEZONE, not the server clock or UTC.
+// A YYYY-MM-DD business date is always derived here so an evening send or entry in
+// Colombia doesn't land on the next day.
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+function getTimezone() {
+  return process.env.TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+// Throws a RangeError if TIMEZONE is not a valid IANA zone name
+function validateTimezone() {
+  new Intl.DateTimeFormat('en-US', { timeZone: getTimezone() });
+}
+
+// The calendar date (YYYY-MM-DD) in TIMEZONE at the given instant
+function getBusinessDate(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: getTimezone(),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+
+  const get = type => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// First day (YYYY-MM-DD) of the business month containing the given instant
+function getFirstDayOfMonth(now = new Date()) {
+  return `${getBusinessDate(now).substring(0, 8)}01`;
+}
+
+// Validate month format (YYYY-MM)
+function isValidMonth(month) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(month || '');
+}
+
+// First and last day (YYYY-MM-DD) of a YYYY-MM month
+function getMonthRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(year, monthNumber, 0).getDate();
+  return { startDate: `${month}-01`, endDate: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+// Format a Date (or YYYY-MM-DD string) as YYYY-MM-DD without timezone shifts.
+// DATE columns come back from pg as local midnight, so local getters are correct here.
+function toDateString(date) {
+  if (typeof date === 'string') return date.substring(0, 10);
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Local-midnight Date for a YYYY-MM-DD string (new Date('YYYY-MM-DD') would be UTC midnight)
+function parseDate(dateStr) {
+  const [y, m, d] = toDateString(dateStr).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Human-readable business date, e.g. "Monday, October 19, 2026"
+function formatDate(date, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
+  return parseDate(date).toLocaleDateString('en-US', options);
+}
+
+module.exports = {
+  getTimezone,
+  validateTimezone,
+  getBusinessDate,
+  getFirstDayOfMonth,
+  isValidMonth,
+  getMonthRange,
+  toDateString,
+  parseDate,
+  formatDate
+};
@@ -1,12 +1,12 @@
-const sgMail = require('@sendgrid/mail');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const path = require('path');
+const ejs = require('ejs');
 const { pool } = require('../config/database');
+const { getTransport, getFromAddress, checkTransportConfig } = require('./emailTransport');
+const { getBusinessDate, getTimezone, formatDate } = require('./dateService');
 
-// Only set API key if available (prevents startup errors)
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
+const EMAIL_VIEWS_DIR = path.join(__dirname, '..', 'views', 'emails');
 
 // SECURITY: Generate signed employee reference to prevent ID enumeration
 function generateEmployeeRef(employeeId, token) {
@@ -26,32 +26,83 @@ function generateEmployeeRef(employeeId, token) {
     .replace(/=/g, '');
 }
 
-// SECURITY: HTML-encode strings to prevent XSS in emails
-function escapeHtml(str) {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+// SECURITY: Sign the token for the multi-employee attendance form link
+function generateAttendanceSignature(token) {
+  const secret = process.env.SESSION_SECRET || 'change-this-secret';
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`attendance:${token}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// Remove trailing slash if present to avoid double slashes in URLs
+function getAppUrl() {
+  return (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
 }
 
-async function sendDailyEmail() {
-  const today = new Date().toISOString().split('T')[0];
+// Render the daily attendance email from views/emails/ for the given employees and token.
+// EJS escapes names in the HTML template, so no manual encoding is needed here.
+async function renderDailyEmail(employees, token, date, { isTest = false } = {}) {
+  const appUrl = getAppUrl();
+  const formattedDate = formatDate(date);
+
+  const data = {
+    formattedDate,
+    appUrl,
+    isTest,
+    attendanceLink: `${appUrl}/track/attendance/${token}/${generateAttendanceSignature(token)}`,
+    employees: employees.map(emp => ({
+      name: `${emp.first_name} ${emp.last_name}`,
+      // SECURITY: Use signed employee reference instead of plain ID
+      link: `${appUrl}/track/${token}/${generateEmployeeRef(emp.id, token)}`
+    }))
+  };
 
-  // Validate configuration before proceeding
-  if (!process.env.SENDGRID_API_KEY) {
-    console.error('SendGrid API key not configured');
-    return { success: false, message: 'Email service not configured. Please set SENDGRID_API_KEY.' };
-  }
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(EMAIL_VIEWS_DIR, 'daily.ejs'), data),
+    ejs.renderFile(path.join(EMAIL_VIEWS_DIR, 'daily-text.ejs'), data)
+  ]);
 
-  if (!process.env.SENDGRID_FROM_EMAIL) {
-    console.error('SendGrid from email not configured');
-    return { success: false, message: 'Email service not configured. Please set SENDGRID_FROM_EMAIL.' };
+  const subject = `${isTest ? '[TEST] ' : ''}Work Attendance - ${formattedDate}`;
+  return { subject, html, text };
+}
+
+// Links stay valid until midnight (in TIMEZONE) after the send date plus TOKEN_VALID_DAYS
+// days. The default of 1 keeps them working through the end of the following day.
+function getTokenValidDays() {
+  const days = parseInt(process.env.TOKEN_VALID_DAYS, 10);
+  return !isNaN(days) && days >= 0 ? days : 1;
+}
+
+const ALREADY_SENT_MESSAGE = "Today's email has already been sent. Use Resend to send it again.";
+
+// Deliveries stuck in 'sending' this long (e.g. after a crash) may be claimed again
+const STALE_SENDING_MINUTES = 10;
+
+// Send today's attendance email, one personalized message per active recipient.
+//
+// Each recipient gets their own token, so attendance can be attributed to whoever clicked.
+// The partial unique index on daily_emails(sent_date, recipient) allows only one live token
+// per recipient per day, even across restarts or concurrent sends. Without options, only
+// recipients who haven't received today's email yet are sent to (this is how failed
+// deliveries are retried). Options:
+//   resend       - send again to every active recipient
+//   replaceToken - with resend, supersede today's tokens so the old links stop working
+async function sendDailyEmail({ resend = false, replaceToken = false } = {}) {
+  const today = getBusinessDate();
+
+  // Validate configuration before proceeding
+  const configError = checkTransportConfig();
+  if (configError) {
+    console.error('Email transport not configured:', configError);
+    return { success: false, retriable: false, message: configError };
   }
 
+  const transport = getTransport();
   const client = await pool.connect();
+  let employees;
+  let deliveries;
 
   try {
     await client.query('BEGIN');
@@ -64,195 +115,264 @@ async function sendDailyEmail() {
     if (employeesResult.rows.length === 0) {
       await client.query('ROLLBACK');
       console.log('No active employees to include in email');
-      return { success: false, message: 'No active employees. Add employees before sending.' };
+      return { success: false, retriable: false, message: 'No active employees. Add employees before sending.' };
     }
 
     // Get active recipients
     const recipientsResult = await client.query(
-      'SELECT email FROM email_recipients WHERE active = true'
+      'SELECT id, email FROM email_recipients WHERE active = true ORDER BY email'
     );
 
     if (recipientsResult.rows.length === 0) {
       await client.query('ROLLBACK');
       console.log('No active email recipients');
-      return { success: false, message: 'No active recipients. Add email recipients first.' };
+      return { success: false, retriable: false, message: 'No active recipients. Add email recipients first.' };
     }
 
-    // Generate token for today
-    const token = uuidv4();
+    if (resend && replaceToken) {
+      // Old links stop working once this transaction commits
+      await client.query(
+        `UPDATE daily_emails SET superseded_at = CURRENT_TIMESTAMP
+         WHERE sent_date = $1 AND is_test = false AND superseded_at IS NULL`,
+        [today]
+      );
+    }
+
+    // Make sure every active recipient has a live token for today.
+    // A concurrent send for the same recipient waits here and then inserts nothing.
+    for (const recipient of recipientsResult.rows) {
+      await client.query(
+        `INSERT INTO daily_emails (sent_date, token, recipient_id, delivery_status, expires_at)
+         VALUES ($1, $2, $3, 'pending', (($1::date + $4::int + 1)::timestamp AT TIME ZONE $5))
+         ON CONFLICT (sent_date, COALESCE(recipient_id, 0))
+           WHERE is_test = false AND superseded_at IS NULL
+         DO NOTHING`,
+        [today, uuidv4(), recipient.id, getTokenValidDays(), getTimezone()]
+      );
+    }
+
+    // Claim the deliveries this call is responsible for, so concurrent calls don't double-send
+    const claimResult = await client.query(
+      `UPDATE daily_emails de
+       SET delivery_status = 'sending', last_attempt_at = CURRENT_TIMESTAMP
+       FROM email_recipients er
+       WHERE de.recipient_id = er.id AND er.active = true
+         AND de.sent_date = $1 AND de.is_test = false AND de.superseded_at IS NULL
+         AND (
+           $2::boolean
+           OR de.delivery_status IN ('pending', 'failed')
+           OR (de.delivery_status = 'sending'
+               AND de.last_attempt_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+         )
+       RETURNING de.id, de.token, er.email`,
+      [today, resend]
+    );
+
+    await client.query('COMMIT');
+
+    employees = employeesResult.rows;
+    deliveries = claimResult.rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error preparing daily email:', error);
+    return { success: false, retriable: true, message: 'Failed to send email. Please try again later.' };
+  } finally {
+    client.release();
+  }
+
+  if (deliveries.length === 0) {
+    console.log("Today's email was already sent to every active recipient; skipping");
+    return { success: false, retriable: false, alreadySent: true, message: ALREADY_SENT_MESSAGE };
+  }
+
+  // Send each recipient their own message; one bad address doesn't stop the others
+  const failures = [];
+  for (const delivery of deliveries) {
+    try {
+      const { subject, html, text } = await renderDailyEmail(employees, delivery.token, today);
+      await transport.send({
+        to: [delivery.email],
+        from: getFromAddress(),
+        subject,
+        text,
+        html
+      });
+      await pool.query(
+        `UPDATE daily_emails
+         SET delivery_status = 'sent', delivered_at = CURRENT_TIMESTAMP, delivery_error = NULL
+         WHERE id = $1`,
+        [delivery.id]
+      );
+    } catch (error) {
+      console.error(`Error sending daily email to recipient ${delivery.id}:`, error);
+
+      // Let the transport translate its own errors into user-friendly messages
+      const { message, retriable } = transport.classifyError(error);
+      failures.push({ email: delivery.email, message, retriable });
+      await pool.query(
+        "UPDATE daily_emails SET delivery_status = 'failed', delivery_error = $1 WHERE id = $2",
+        [message.substring(0, 1000), delivery.id]
+      ).catch(updateError => console.error('Error saving delivery status:', updateError));
+    }
+  }
+
+  const sentCount = deliveries.length - failures.length;
+  const action = !resend ? 'sent' : replaceToken ? 'resent with new links' : 'resent';
+  console.log(`Daily email ${action} to ${sentCount}/${deliveries.length} recipient(s) via ${transport.name}`);
+
+  if (failures.length === 0) {
+    return { success: true, message: `Email ${action} to ${sentCount} recipient(s)` };
+  }
+
+  const failureDetails = failures.map(f => `${f.email}: ${f.message}`).join('; ');
+  return {
+    success: sentCount > 0,
+    // Retrying only re-sends to the failed recipients
+    retriable: failures.some(f => f.retriable),
+    message: `Email ${action} to ${sentCount} of ${deliveries.length} recipient(s). Failed: ${failureDetails}`
+  };
+}
+
+// Send a clearly marked copy of today's email to a single address. Its token is stored
+// with is_test = true, so the tracking route refuses to record attendance from it.
+async function sendTestEmail(toEmail) {
+  const today = getBusinessDate();
+
+  const configError = checkTransportConfig();
+  if (configError) {
+    console.error('Email transport not configured:', configError);
+    return { success: false, retriable: false, message: configError };
+  }
+
+  const transport = getTransport();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const employeesResult = await client.query(
+      'SELECT id, first_name, last_name FROM employees WHERE active = true ORDER BY first_name'
+    );
 
-    // Save daily email record BEFORE sending (will rollback if send fails)
+    if (employeesResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, retriable: false, message: 'No active employees. Add employees before sending.' };
+    }
+
+    const token = uuidv4();
     await client.query(
-      'INSERT INTO daily_emails (sent_date, token) VALUES ($1, $2)',
-      [today, token]
+      `INSERT INTO daily_emails (sent_date, token, is_test, expires_at)
+       VALUES ($1, $2, true, (($1::date + $3::int + 1)::timestamp AT TIME ZONE $4))`,
+      [today, token, getTokenValidDays(), getTimezone()]
     );
 
-    // Remove trailing slash if present to avoid double slashes in URLs
-    const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    const { subject, html, text } = await renderDailyEmail(employeesResult.rows, token, today, { isTest: true });
 
-    // Build email content
-    const employees = employeesResult.rows;
-    const formattedDate = new Date(today).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+    await transport.send({
+      to: [toEmail],
+      from: getFromAddress(),
+      subject,
+      text,
+      html
     });
 
-    const employeeLinks = employees.map(emp => {
-      // SECURITY: Use signed employee reference instead of plain ID
-      const employeeRef = generateEmployeeRef(emp.id, token);
-      const link = `${appUrl}/track/${token}/${employeeRef}`;
-      // SECURITY: HTML-encode employee names to prevent XSS
-      const safeName = escapeHtml(`${emp.first_name} ${emp.last_name}`);
-      return `
-        <tr>
-          <td style="padding: 4px 0;">
-            <a href="${link}" style="
-              display: block;
-              padding: 12px 16px;
-              background-color: #007aff;
-              color: white;
-              text-decoration: none;
-              border-radius: 6px;
-              font-size: 15px;
-              font-weight: 500;
-              text-align: center;
-            ">
-              ${safeName}
-            </a>
-          </td>
-        </tr>`;
-    }).join('\n');
-
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Work Attendance - ${formattedDate}</title>
-      </head>
-      <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f9fafb;">
-        <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #f9fafb; padding: 32px 16px;">
-          <tr>
-            <td align="center">
-              <!-- Main Container -->
-              <table width="560" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #ffffff; border-radius: 8px; border: 1px solid #e5e7eb; overflow: hidden; max-width: 100%;">
-
-                <!-- Header -->
-                <tr>
-                  <td style="padding: 24px 24px 20px; border-bottom: 1px solid #e5e7eb;">
-                    <h1 style="margin: 0; color: #111827; font-size: 20px; font-weight: 600; letter-spacing: -0.02em;">
-                      Employee Tracker
-                    </h1>
-                  </td>
-                </tr>
-
-                <!-- Content Section -->
-                <tr>
-                  <td style="padding: 24px;">
-                    <h2 style="margin: 0 0 8px 0; color: #111827; font-size: 16px; font-weight: 600; letter-spacing: -0.01em;">
-                      Who worked today?
-                    </h2>
-                    <p style="margin: 0 0 20px 0; color: #6b7280; font-size: 14px; font-weight: 400;">
-                      ${formattedDate}
-                    </p>
-
-                    <div style="background-color: #f9fafb; border-radius: 6px; padding: 12px 16px; margin-bottom: 20px; border: 1px solid #e5e7eb;">
-                      <p style="margin: 0; color: #6b7280; font-size: 14px; font-weight: 400; line-height: 1.5;">
-                        Click on a name below to record attendance:
-                      </p>
-                    </div>
-
-                    <!-- Employee Buttons -->
-                    <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
-                      ${employeeLinks}
-                    </table>
-                  </td>
-                </tr>
-
-                <!-- Footer -->
-                <tr>
-                  <td style="padding: 16px 24px; background-color: #f9fafb; border-top: 1px solid #e5e7eb;">
-                    <p style="margin: 0; color: #9ca3af; font-size: 12px; line-height: 1.5; text-align: center;">
-                      <strong style="color: #6b7280; font-weight: 500;">Note:</strong> Each link can only be used once. Attendance is recorded immediately after clicking.
-                    </p>
-                  </td>
-                </tr>
-
-              </table>
-
-              <!-- Email Footer -->
-              <table width="560" cellpadding="0" cellspacing="0" role="presentation" style="max-width: 100%; margin-top: 16px;">
-                <tr>
-                  <td style="text-align: center; padding: 12px;">
-                    <p style="margin: 0; color: #9ca3af; font-size: 12px;">
-                      Automated email from Employee Tracker
-                    </p>
-                  </td>
-                </tr>
-              </table>
-
-            </td>
-          </tr>
-        </table>
-      </body>
-      </html>
-    `;
-
-    const textContent = `Who worked today?\n\n${formattedDate}\n\nClick the link for the person who worked:\n\n` +
-      employees.map(emp => {
-        const employeeRef = generateEmployeeRef(emp.id, token);
-        return `${emp.first_name} ${emp.last_name}: ${appUrl}/track/${token}/${employeeRef}`;
-      }).join('\n\n') +
-      '\n\nNote: This link can only be used once.';
-
-    // Send email to all recipients
-    const recipients = recipientsResult.rows.map(r => r.email);
-
-    const msg = {
-      to: recipients,
-      from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-      subject: `Work Attendance - ${formattedDate}`,
-      text: textContent,
-      html: htmlContent
-    };
-
-    await sgMail.send(msg);
-
-    // Only commit after successful email send
     await client.query('COMMIT');
 
-    console.log(`Daily email sent successfully to ${recipients.length} recipient(s)`);
-    return { success: true, message: `Email sent to ${recipients.length} recipient(s)` };
-
+    console.log(`Test email sent via ${transport.name}`);
+    return { success: true, message: `Test email sent to ${toEmail}. Its links cannot record attendance.` };
   } catch (error) {
-    // Rollback on any error (including email send failure)
     await client.query('ROLLBACK');
 
-    console.error('Error sending daily email:', error);
-
-    // Provide user-friendly error messages
-    let userMessage = 'Failed to send email. ';
-    if (error.code === 401) {
-      userMessage += 'Invalid API key. Please check SENDGRID_API_KEY configuration.';
-    } else if (error.code === 403) {
-      userMessage += 'Permission denied. Please verify SendGrid account settings.';
-    } else if (error.response && error.response.body && error.response.body.errors) {
-      userMessage += error.response.body.errors.map(e => e.message).join(', ');
-    } else {
-      userMessage += error.message || 'Please try again later.';
-    }
+    console.error('Error sending test email:', error);
 
-    return { success: false, message: userMessage };
+    const { message, retriable } = transport.classifyError(error);
+    return { success: false, retriable, message: `Failed to send test email. ${message}` };
   } finally {
     client.release();
   }
 }
 
-async function sendTestEmail() {
-  return await sendDailyEmail();
+// Today's live email with per-recipient delivery status, or null if it hasn't been sent
+async function getTodaysEmail() {
+  const today = getBusinessDate();
+  const result = await pool.query(
+    `SELECT de.id, de.created_at, de.delivery_status, de.delivery_error, de.delivered_at,
+            er.email
+     FROM daily_emails de
+     LEFT JOIN email_recipients er ON de.recipient_id = er.id
+     WHERE de.sent_date = $1 AND de.is_test = false AND de.superseded_at IS NULL
+     ORDER BY er.email`,
+    [today]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const deliveries = result.rows;
+  return {
+    created_at: deliveries.reduce((min, d) => (d.created_at < min ? d.created_at : min), deliveries[0].created_at),
+    deliveries,
+    sentCount: deliveries.filter(d => d.delivery_status === 'sent').length,
+    failedCount: deliveries.filter(d => d.delivery_status === 'failed').length,
+    pendingCount: deliveries.filter(d => d.delivery_status === 'pending' || d.delivery_status === 'sending').length
+  };
+}
+
+// Render today's email for the admin preview page. Uses a throwaway token that is
+// never stored, so nothing is sent and no daily_emails row is created.
+async function previewDailyEmail() {
+  const today = getBusinessDate();
+
+  const [employeesResult, recipientsResult] = await Promise.all([
+    pool.query('SELECT id, first_name, last_name FROM employees WHERE active = true ORDER BY first_name'),
+    pool.query('SELECT email FROM email_recipients WHERE active = true ORDER BY email')
+  ]);
+
+  const content = await renderDailyEmail(employeesResult.rows, uuidv4(), today);
+
+  return {
+    ...content,
+    from: getFromAddress(),
+    recipients: recipientsResult.rows.map(r => r.email),
+    employeeCount: employeesResult.rows.length
+  };
+}
+
+// Email an admin-issued password reset link. Throws on configuration or delivery errors,
+// with a user-friendly message from the transport.
+async function sendPasswordResetEmail(toEmail, { username, resetLink, expiresMinutes }) {
+  const configError = checkTransportConfig();
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const transport = getTransport();
+  const data = { username, resetLink, expiresMinutes };
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(EMAIL_VIEWS_DIR, 'password-reset.ejs'), data),
+    ejs.renderFile(path.join(EMAIL_VIEWS_DIR, 'password-reset-text.ejs'), data)
+  ]);
+
+  try {
+    await transport.send({
+      to: [toEmail],
+      from: getFromAddress(),
+      subject: 'Reset your Employee Tracker password',
+      text,
+      html
+    });
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw new Error(transport.classifyError(error).message);
+  }
 }
 
-module.exports = { sendDailyEmail, sendTestEmail };
+module.exports = {
+  sendDailyEmail,
+  sendTestEmail,
+  previewDailyEmail,
+  getTodaysEmail,
+  sendPasswordResetEmail,
+  getAppUrl
+};
@@ -0,0 +1,46 @@
+// Email transports are selected with EMAIL_TRANSPORT. Each transport exposes:
+//   checkConfig()        -> error message if misconfigured, otherwise null
+//   send(msg)            -> resolves once the message { to, from, subject, text, html } is handed off
+//   classifyError(error) -> { message, retriable } used for user feedback and scheduler retries
+const transports = {
+  sendgrid: require('./transports/sendgrid'),
+  smtp: require('./transports/smtp'),
+  file: require('./transports/file'),
+  console: require('./transports/console')
+};
+
+const DEFAULT_TRANSPORT = 'sendgrid';
+
+function getTransportName() {
+  return (process.env.EMAIL_TRANSPORT || DEFAULT_TRANSPORT).trim().toLowerCase();
+}
+
+function getTransport() {
+  return transports[getTransportName()] || null;
+}
+
+// EMAIL_FROM takes precedence; SENDGRID_FROM_EMAIL is kept for existing deployments
+function getFromAddress() {
+  const from = process.env.EMAIL_FROM || process.env.SENDGRID_FROM_EMAIL;
+  if (from) return from;
+  const transport = getTransport();
+  return transport && !transport.requiresFrom ? 'noreply@localhost' : null;
+}
+
+// Returns a user-facing error message if the selected transport can't send, otherwise null
+function checkTransportConfig() {
+  const transport = getTransport();
+  if (!transport) {
+    return `Email service not configured. Unknown EMAIL_TRANSPORT "${getTransportName()}" (use ${Object.keys(transports).join(', ')}).`;
+  }
+
+  const configError = transport.checkConfig();
+  if (configError) return configError;
+
+  if (!getFromAddress()) {
+    return 'Email service not configured. Please set EMAIL_FROM.';
+  }
+  return null;
+}
+
+module.exports = { getTransport, getTransportName, getFromAddress, checkTransportConfig };
@@ -0,0 +1,10 @@
+// Display formatting shared by routes, reports and payslips
+
+// Format COP currency, e.g. 1234567 -> "1.234.567"
+function formatCOP(amount) {
+  return new Intl.NumberFormat('es-CO').format(amount || 0);
+}
+
+module.exports = {
+  formatCOP
+};
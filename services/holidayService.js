@@ -0,0 +1,186 @@
+const { pool } = require('../config/database');
+const { parseDate, toDateString } = require('./dateService');
+
+// Colombian public holidays (festivos) under Ley 51 de 1983. Holidays marked moveToMonday
+// follow the Ley Emiliani: when they don't fall on a Monday they are observed the next Monday.
+const FIXED_HOLIDAYS = [
+  { month: 1, day: 1, name: 'Año Nuevo' },
+  { month: 1, day: 6, name: 'Día de los Reyes Magos', moveToMonday: true },
+  { month: 3, day: 19, name: 'Día de San José', moveToMonday: true },
+  { month: 5, day: 1, name: 'Día del Trabajo' },
+  { month: 6, day: 29, name: 'San Pedro y San Pablo', moveToMonday: true },
+  { month: 7, day: 20, name: 'Día de la Independencia' },
+  { month: 8, day: 7, name: 'Batalla de Boyacá' },
+  { month: 8, day: 15, name: 'La Asunción de la Virgen', moveToMonday: true },
+  { month: 10, day: 12, name: 'Día de la Raza', moveToMonday: true },
+  { month: 11, day: 1, name: 'Todos los Santos', moveToMonday: true },
+  { month: 11, day: 11, name: 'Independencia de Cartagena', moveToMonday: true },
+  { month: 12, day: 8, name: 'Día de la Inmaculada Concepción' },
+  { month: 12, day: 25, name: 'Navidad' }
+];
+
+// Holidays counted in days from Easter Sunday
+const EASTER_HOLIDAYS = [
+  { offset: -3, name: 'Jueves Santo' },
+  { offset: -2, name: 'Viernes Santo' },
+  { offset: 39, name: 'Ascensión del Señor', moveToMonday: true },
+  { offset: 60, name: 'Corpus Christi', moveToMonday: true },
+  { offset: 68, name: 'Sagrado Corazón de Jesús', moveToMonday: true }
+];
+
+const EMAIL_SKIP_SETTINGS = {
+  skipHolidays: 'email_skip_holidays',
+  skipSundays: 'email_skip_sundays'
+};
+
+const holidayCache = new Map(); // year -> [{ date, name }]
+
+// Easter Sunday for a Gregorian year (anonymous Gregorian / Meeus algorithm)
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function nextMonday(date) {
+  return addDays(date, (8 - date.getDay()) % 7);
+}
+
+// The year's public holidays as [{ date: 'YYYY-MM-DD', name }], in date order
+function getColombianHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const easter = getEasterSunday(year);
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(h => ({ ...h, date: new Date(year, h.month - 1, h.day) })),
+    ...EASTER_HOLIDAYS.map(h => ({ ...h, date: addDays(easter, h.offset) }))
+  ].map(h => ({
+    date: toDateString(h.moveToMonday ? nextMonday(h.date) : h.date),
+    name: h.name
+  }));
+
+  holidays.sort((a, b) => a.date.localeCompare(b.date));
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// Name of the public holiday on a date, or null
+function getHolidayName(date) {
+  const dateStr = toDateString(date);
+  const holiday = getColombianHolidays(parseInt(dateStr.substring(0, 4), 10)).find(h => h.date === dateStr);
+  return holiday ? holiday.name : null;
+}
+
+function isSunday(date) {
+  return parseDate(date).getDay() === 0;
+}
+
+// Surcharge multiplier on the regular pay for work on Sundays and holidays
+// (recargo dominical y festivo). Overtime on those days uses the Sunday overtime types instead.
+function getHolidaySurchargeMultiplier() {
+  const multiplier = parseFloat(process.env.HOLIDAY_SURCHARGE_MULTIPLIER);
+  return !isNaN(multiplier) && multiplier >= 1 ? multiplier : 1.75;
+}
+
+// Admin-defined closure days in a year, in date order
+async function getClosureDays(year, db = pool) {
+  const result = await db.query(
+    `SELECT cd.*, u.username AS created_by_username
+     FROM closure_days cd
+     LEFT JOIN users u ON cd.created_by = u.id
+     WHERE EXTRACT(YEAR FROM cd.closure_date) = $1
+     ORDER BY cd.closure_date`,
+    [year]
+  );
+  return result.rows;
+}
+
+async function getClosureDay(date, db = pool) {
+  const result = await db.query('SELECT * FROM closure_days WHERE closure_date = $1', [toDateString(date)]);
+  return result.rows[0] || null;
+}
+
+// Surcharge multiplier for work on a date: Sundays, public holidays and closure days
+// marked for the surcharge get it, other days return null
+async function getHolidayMultiplierOn(date, db = pool) {
+  if (isSunday(date) || getHolidayName(date)) {
+    return getHolidaySurchargeMultiplier();
+  }
+  const closure = await getClosureDay(date, db);
+  return closure && closure.holiday_surcharge ? getHolidaySurchargeMultiplier() : null;
+}
+
+async function getEmailSkipSettings(db = pool) {
+  const result = await db.query(
+    'SELECT key, value FROM app_settings WHERE key = ANY($1::text[])',
+    [Object.values(EMAIL_SKIP_SETTINGS)]
+  );
+  const values = Object.fromEntries(result.rows.map(row => [row.key, row.value]));
+  return {
+    skipHolidays: values[EMAIL_SKIP_SETTINGS.skipHolidays] === 'true',
+    skipSundays: values[EMAIL_SKIP_SETTINGS.skipSundays] === 'true'
+  };
+}
+
+async function saveEmailSkipSettings({ skipHolidays, skipSundays }, userId, db = pool) {
+  const settings = [
+    [EMAIL_SKIP_SETTINGS.skipHolidays, skipHolidays],
+    [EMAIL_SKIP_SETTINGS.skipSundays, skipSundays]
+  ];
+  for (const [key, enabled] of settings) {
+    await db.query(
+      `INSERT INTO app_settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at`,
+      [key, enabled ? 'true' : 'false', userId]
+    );
+  }
+}
+
+// Why the scheduled email should not go out on a date, or null if it should
+async function getEmailSkipReason(date, db = pool) {
+  const { skipHolidays, skipSundays } = await getEmailSkipSettings(db);
+
+  if (skipHolidays) {
+    const holiday = getHolidayName(date);
+    if (holiday) return `${holiday} is a public holiday`;
+
+    const closure = await getClosureDay(date, db);
+    if (closure) return `${closure.name} is a closure day`;
+  }
+
+  if (skipSundays && isSunday(date)) {
+    return 'it is Sunday';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getEasterSunday,
+  getColombianHolidays,
+  getHolidayName,
+  isSunday,
+  getHolidaySurchargeMultiplier,
+  getClosureDays,
+  getHolidayMultiplierOn,
+  getEmailSkipSettings,
+  saveEmailSkipSettings,
+  getEmailSkipReason
+};
@@ -0,0 +1,121 @@
+const { pool } = require('../config/database');
+const { logAudit } = require('./auditService');
+const { toDateString } = require('./dateService');
+
+// Ledger entries against an employee's pay. Bonuses add to gross pay, everything else
+// is subtracted, on the pay period containing the adjustment date.
+const ADJUSTMENT_TYPES = {
+  advance: { label: 'Advance', sign: -1 },
+  loan_installment: { label: 'Loan installment', sign: -1 },
+  deduction: { label: 'Deduction', sign: -1 },
+  bonus: { label: 'Bonus', sign: 1 }
+};
+
+// An employee's loans, newest first, with what has been repaid and the outstanding balance
+async function getLoans(employeeId, db = pool) {
+  const result = await db.query(
+    `SELECT l.*, u.username AS created_by_username,
+            COALESCE(SUM(a.amount), 0) AS repaid,
+            l.principal - COALESCE(SUM(a.amount), 0) AS balance,
+            COUNT(a.id) AS installment_count
+     FROM employee_loans l
+     LEFT JOIN employee_adjustments a ON a.loan_id = l.id
+     LEFT JOIN users u ON l.created_by = u.id
+     WHERE l.employee_id = $1
+     GROUP BY l.id, u.username
+     ORDER BY l.loan_date DESC, l.id DESC`,
+    [employeeId]
+  );
+  return result.rows;
+}
+
+// Outstanding balance of a loan. Lock the loan row first when about to add an installment.
+async function getLoanBalance(loanId, db = pool) {
+  const result = await db.query(
+    `SELECT l.principal - COALESCE(SUM(a.amount), 0) AS balance
+     FROM employee_loans l
+     LEFT JOIN employee_adjustments a ON a.loan_id = l.id
+     WHERE l.id = $1
+     GROUP BY l.id`,
+    [loanId]
+  );
+  return result.rows[0] ? parseFloat(result.rows[0].balance) : null;
+}
+
+// An employee's adjustments dated within a range, newest first
+async function getAdjustments(employeeId, startDate, endDate, db = pool) {
+  const result = await db.query(
+    `SELECT a.*, u.username AS created_by_username,
+            EXISTS (
+              SELECT 1 FROM pay_periods pp
+              WHERE pp.status = 'closed' AND a.adjustment_date BETWEEN pp.start_date AND pp.end_date
+            ) AS locked
+     FROM employee_adjustments a
+     LEFT JOIN users u ON a.created_by = u.id
+     WHERE a.employee_id = $1 AND a.adjustment_date BETWEEN $2 AND $3
+     ORDER BY a.adjustment_date DESC, a.id DESC`,
+    [employeeId, startDate, endDate]
+  );
+  return result.rows;
+}
+
+// Record a loan installment for every loan with a set installment amount and a balance
+// left, dated the last day of the period. Loans that already have an installment in the
+// period are skipped, so applying twice does nothing. The last installment is capped at
+// the balance. Returns the installments added.
+async function applyLoanInstallments(client, { startDate, endDate }, actor) {
+  const loans = await client.query(
+    `SELECT l.*
+     FROM employee_loans l
+     JOIN employees e ON l.employee_id = e.id
+     WHERE l.installment_amount IS NOT NULL AND l.loan_date <= $1 AND e.active = true
+     ORDER BY l.id
+     FOR UPDATE OF l`,
+    [endDate]
+  );
+
+  const applied = [];
+  for (const loan of loans.rows) {
+    const existing = await client.query(
+      'SELECT 1 FROM employee_adjustments WHERE loan_id = $1 AND adjustment_date BETWEEN $2 AND $3',
+      [loan.id, startDate, endDate]
+    );
+    if (existing.rows.length > 0) continue;
+
+    const balance = await getLoanBalance(loan.id, client);
+    if (balance <= 0) continue;
+
+    const inserted = await client.query(
+      `INSERT INTO employee_adjustments (employee_id, adjustment_date, adjustment_type, amount, loan_id, notes, created_by)
+       VALUES ($1, $2, 'loan_installment', $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        loan.employee_id,
+        endDate,
+        Math.min(parseFloat(loan.installment_amount), balance),
+        loan.id,
+        `Installment on loan of ${toDateString(loan.loan_date)}`,
+        actor.userId || null
+      ]
+    );
+    const adjustment = inserted.rows[0];
+    await logAudit(client, {
+      actor,
+      entityType: 'adjustment',
+      entityId: adjustment.id,
+      employeeId: adjustment.employee_id,
+      action: 'create',
+      after: adjustment
+    });
+    applied.push(adjustment);
+  }
+  return applied;
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  getLoans,
+  getLoanBalance,
+  getAdjustments,
+  applyLoanInstallments
+};
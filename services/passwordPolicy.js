@@ -0,0 +1,37 @@
+const bcrypt = require('bcryptjs');
+
+// SECURITY: Password rules shared by the bootstrap admin, user creation, password
+// changes and resets
+const MIN_PASSWORD_LENGTH = 12;
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+const COMMON_DEFAULTS = ['changeme', 'password', 'admin'];
+
+// SECURITY: Use higher bcrypt cost factor (12 instead of 10)
+const BCRYPT_COST = 12;
+
+// Every rule the password breaks (empty if it is acceptable)
+function getPasswordErrors(password, username) {
+  const errors = [];
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (password && password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be ${MAX_PASSWORD_LENGTH} characters or less`);
+  }
+  if (password && COMMON_DEFAULTS.includes(password.toLowerCase())) {
+    errors.push('Password cannot be a common default value');
+  }
+  if (password && username && password.toLowerCase() === username.toLowerCase()) {
+    errors.push('Password cannot be the same as username');
+  }
+
+  return errors;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_COST);
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, getPasswordErrors, hashPassword };
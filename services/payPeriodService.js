@@ -0,0 +1,137 @@
+const { pool } = require('../config/database');
+const { getBusinessDate, parseDate, toDateString } = require('./dateService');
+const { getHoursPerDay } = require('./workQuantityService');
+
+// Find the closed pay period (if any) that contains the given date.
+// Accepts an optional client so the check can run inside a transaction.
+async function findClosedPeriod(workDate, db = pool) {
+  const result = await db.query(
+    `SELECT id, name, start_date, end_date
+     FROM pay_periods
+     WHERE status = 'closed' AND $1::date BETWEEN start_date AND end_date
+     LIMIT 1`,
+    [toDateString(workDate)]
+  );
+  return result.rows[0] || null;
+}
+
+// Find any pay period overlapping the given range, optionally ignoring one period
+async function findOverlappingPeriod(startDate, endDate, excludeId = null) {
+  const result = await pool.query(
+    `SELECT id, name
+     FROM pay_periods
+     WHERE start_date <= $2::date AND end_date >= $1::date
+       AND ($3::integer IS NULL OR id <> $3::integer)
+     LIMIT 1`,
+    [startDate, endDate, excludeId]
+  );
+  return result.rows[0] || null;
+}
+
+// Per-employee payroll summary for a date range. Days worked counts half days as 0.5
+// and hourly records as a fraction of a full working day. Gross is the wages on work
+// records; net payable subtracts advances, loan installments and deductions and adds
+// bonuses dated in the range. Employees with only adjustments are included.
+async function getPeriodSummary(startDate, endDate, employeeId = null) {
+  const result = await pool.query(
+    `WITH work AS (
+       SELECT
+         employee_id,
+         SUM(
+           CASE day_type
+             WHEN 'half' THEN 0.5
+             WHEN 'hours' THEN hours_worked / $3
+             ELSE 1
+           END
+         ) AS days_worked,
+         SUM(overtime_hours) AS overtime_hours,
+         COUNT(*) AS record_count,
+         SUM(wage_amount) AS gross
+       FROM work_records
+       WHERE work_date BETWEEN $1 AND $2 AND deleted_at IS NULL
+       GROUP BY employee_id
+     ),
+     adjustments AS (
+       SELECT
+         employee_id,
+         SUM(CASE WHEN adjustment_type = 'bonus' THEN 0 ELSE amount END) AS deductions,
+         SUM(CASE WHEN adjustment_type = 'bonus' THEN amount ELSE 0 END) AS bonuses
+       FROM employee_adjustments
+       WHERE adjustment_date BETWEEN $1 AND $2
+       GROUP BY employee_id
+     )
+     SELECT
+       e.id AS employee_id,
+       e.first_name,
+       e.last_name,
+       ROUND(COALESCE(w.days_worked, 0), 2) AS days_worked,
+       COALESCE(w.overtime_hours, 0) AS overtime_hours,
+       COALESCE(w.record_count, 0) AS record_count,
+       COALESCE(w.gross, 0) AS gross,
+       COALESCE(a.deductions, 0) AS deductions,
+       COALESCE(a.bonuses, 0) AS bonuses,
+       COALESCE(w.gross, 0) - COALESCE(a.deductions, 0) + COALESCE(a.bonuses, 0) AS net
+     FROM employees e
+     LEFT JOIN work w ON w.employee_id = e.id
+     LEFT JOIN adjustments a ON a.employee_id = e.id
+     WHERE (w.employee_id IS NOT NULL OR a.employee_id IS NOT NULL)
+       AND ($4::integer IS NULL OR e.id = $4::integer)
+     ORDER BY e.first_name, e.last_name`,
+    [startDate, endDate, getHoursPerDay(), employeeId]
+  );
+  return result.rows;
+}
+
+// The pay period containing a date, or null
+async function findPeriodContaining(date, db = pool) {
+  const result = await db.query(
+    'SELECT * FROM pay_periods WHERE $1::date BETWEEN start_date AND end_date LIMIT 1',
+    [toDateString(date)]
+  );
+  return result.rows[0] || null;
+}
+
+// Default date range for pay screens: the pay period containing today, otherwise the
+// current month
+async function getCurrentPayRange() {
+  const period = await findPeriodContaining(getBusinessDate());
+  if (period) {
+    return { startDate: toDateString(period.start_date), endDate: toDateString(period.end_date) };
+  }
+
+  const today = parseDate(getBusinessDate());
+  return {
+    startDate: toDateString(new Date(today.getFullYear(), today.getMonth(), 1)),
+    endDate: toDateString(new Date(today.getFullYear(), today.getMonth() + 1, 0))
+  };
+}
+
+// Suggest the next quincena (1st-15th or 16th-end of month) after the given date
+function suggestNextQuincena(lastEndDate) {
+  let start;
+  if (lastEndDate) {
+    start = parseDate(lastEndDate);
+    start.setDate(start.getDate() + 1);
+  } else {
+    const today = parseDate(getBusinessDate());
+    start = new Date(today.getFullYear(), today.getMonth(), today.getDate() <= 15 ? 1 : 16);
+  }
+
+  let end;
+  if (start.getDate() <= 15) {
+    end = new Date(start.getFullYear(), start.getMonth(), 15);
+  } else {
+    end = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+  }
+
+  return { start_date: toDateString(start), end_date: toDateString(end) };
+}
+
+module.exports = {
+  findClosedPeriod,
+  findOverlappingPeriod,
+  getPeriodSummary,
+  findPeriodContaining,
+  getCurrentPayRange,
+  suggestNextQuincena
+};
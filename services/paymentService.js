@@ -0,0 +1,146 @@
+const { pool } = require('../config/database');
+const { logAudit } = require('./auditService');
+
+const PAYMENT_METHODS = {
+  cash: 'Cash',
+  transfer: 'Bank transfer',
+  nequi: 'Nequi',
+  daviplata: 'Daviplata'
+};
+
+// Unpaid work records per employee within a date range, for choosing who a batch pays
+async function getUnpaidByEmployee(startDate, endDate, db = pool) {
+  const result = await db.query(
+    `SELECT e.id AS employee_id, e.first_name, e.last_name, e.active,
+            COUNT(wr.id) AS record_count,
+            SUM(wr.wage_amount) AS amount
+     FROM work_records wr
+     JOIN employees e ON wr.employee_id = e.id
+     WHERE wr.work_date BETWEEN $1 AND $2
+       AND wr.deleted_at IS NULL
+       AND wr.payment_batch_id IS NULL
+     GROUP BY e.id
+     ORDER BY e.first_name, e.last_name`,
+    [startDate, endDate]
+  );
+  return result.rows;
+}
+
+// Gross wages on unpaid work records, per employee, with the oldest unpaid date.
+// Ledger adjustments are not included: they aren't tied to payments, so there is no
+// way to tell which of them are still to be settled.
+async function getOutstandingBalances(db = pool) {
+  const result = await db.query(
+    `SELECT e.id AS employee_id, e.first_name, e.last_name,
+            COUNT(wr.id) AS record_count,
+            SUM(wr.wage_amount) AS amount,
+            MIN(wr.work_date) AS oldest_unpaid
+     FROM work_records wr
+     JOIN employees e ON wr.employee_id = e.id
+     WHERE wr.deleted_at IS NULL AND wr.payment_batch_id IS NULL
+     GROUP BY e.id
+     HAVING SUM(wr.wage_amount) > 0
+     ORDER BY SUM(wr.wage_amount) DESC, e.first_name, e.last_name`
+  );
+  return result.rows;
+}
+
+// Mark the unpaid records of the given employees within the range as paid by a new batch.
+// Each record change is audited. Run inside a transaction. Returns the batch, or null
+// when there was nothing left to pay.
+async function createPaymentBatch(client, { startDate, endDate, employeeIds, paymentDate, method, reference }, actor) {
+  const records = await client.query(
+    `SELECT * FROM work_records
+     WHERE work_date BETWEEN $1 AND $2
+       AND employee_id = ANY($3::int[])
+       AND deleted_at IS NULL
+       AND payment_batch_id IS NULL
+     ORDER BY work_date, id
+     FOR UPDATE`,
+    [startDate, endDate, employeeIds]
+  );
+  if (records.rows.length === 0) return null;
+
+  const total = records.rows.reduce((sum, record) => sum + (parseFloat(record.wage_amount) || 0), 0);
+  const inserted = await client.query(
+    `INSERT INTO payment_batches
+       (start_date, end_date, payment_date, method, reference, total_amount, record_count, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [startDate, endDate, paymentDate, method, reference || null, total, records.rows.length, actor.userId || null]
+  );
+  const batch = inserted.rows[0];
+
+  await logAudit(client, {
+    actor,
+    entityType: 'payment_batch',
+    entityId: batch.id,
+    action: 'create',
+    after: batch
+  });
+
+  for (const record of records.rows) {
+    const updated = await client.query(
+      'UPDATE work_records SET payment_batch_id = $1 WHERE id = $2 RETURNING *',
+      [batch.id, record.id]
+    );
+    await logAudit(client, {
+      actor,
+      entityType: 'work_record',
+      entityId: record.id,
+      employeeId: record.employee_id,
+      action: 'update',
+      before: record,
+      after: updated.rows[0]
+    });
+  }
+
+  return batch;
+}
+
+// Void a batch: its records (including any in the trash) become unpaid again.
+// Run inside a transaction. Returns the voided batch, or null if it doesn't exist.
+async function voidPaymentBatch(client, batchId, actor) {
+  const existing = await client.query('SELECT * FROM payment_batches WHERE id = $1 FOR UPDATE', [batchId]);
+  const batch = existing.rows[0];
+  if (!batch) return null;
+
+  const records = await client.query(
+    'SELECT * FROM work_records WHERE payment_batch_id = $1 ORDER BY id FOR UPDATE',
+    [batch.id]
+  );
+  for (const record of records.rows) {
+    const updated = await client.query(
+      'UPDATE work_records SET payment_batch_id = NULL WHERE id = $1 RETURNING *',
+      [record.id]
+    );
+    await logAudit(client, {
+      actor,
+      entityType: 'work_record',
+      entityId: record.id,
+      employeeId: record.employee_id,
+      action: 'update',
+      before: record,
+      after: updated.rows[0]
+    });
+  }
+
+  await client.query('DELETE FROM payment_batches WHERE id = $1', [batch.id]);
+  await logAudit(client, {
+    actor,
+    entityType: 'payment_batch',
+    entityId: batch.id,
+    action: 'delete',
+    before: batch
+  });
+
+  return batch;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  getUnpaidByEmployee,
+  getOutstandingBalances,
+  createPaymentBatch,
+  voidPaymentBatch
+};
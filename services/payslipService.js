@@ -0,0 +1,142 @@
+const PDFDocument = require('pdfkit');
+const { formatDate } = require('./dateService');
+const { formatCOP } = require('./formatService');
+const { getPeriodSummary } = require('./payPeriodService');
+const { getWorkRecords } = require('./recordService');
+const { ADJUSTMENT_TYPES, getAdjustments } = require('./ledgerService');
+const { describeQuantity } = require('./workQuantityService');
+
+const DEFAULT_COMPANY_NAME = 'Employee Tracker';
+const SHORT_DATE = { year: 'numeric', month: 'short', day: 'numeric' };
+
+// Company name printed on payslips
+function getCompanyName() {
+  return (process.env.COMPANY_NAME || '').trim() || DEFAULT_COMPANY_NAME;
+}
+
+// Signed COP amount, e.g. "-$20.000"
+function formatSignedCOP(amount) {
+  return `${parseFloat(amount) < 0 ? '-' : ''}$${formatCOP(Math.abs(amount))}`;
+}
+
+// Payslips for a date range: one per employee with work records or adjustments in it
+// (or only the given employee), each with its records oldest first, its adjustments and
+// the totals from the pay period summary
+async function getPayslips({ startDate, endDate, employeeId = null }) {
+  const [summary, records] = await Promise.all([
+    getPeriodSummary(startDate, endDate, employeeId),
+    getWorkRecords({ employeeId, startDate, endDate })
+  ]);
+
+  const payslips = [];
+  for (const totals of summary) {
+    const adjustments = await getAdjustments(totals.employee_id, startDate, endDate);
+    payslips.push({
+      employee: { id: totals.employee_id, first_name: totals.first_name, last_name: totals.last_name },
+      records: records.filter(record => record.employee_id === totals.employee_id).reverse(),
+      adjustments: adjustments.reverse(),
+      totals
+    });
+  }
+  return payslips;
+}
+
+function drawPayslip(doc, payslip, range, companyName) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const amountX = left + width - 110;
+  const { employee, records, adjustments, totals } = payslip;
+
+  const line = (label, amount, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, left, y, { width: amountX - left - 10 });
+    const labelBottom = doc.y;
+    doc.text(amount, amountX, y, { width: 110, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+  };
+  const rule = () => {
+    doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).stroke();
+    doc.moveDown(0.5);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(companyName, left, doc.page.margins.top, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(11).text('Payslip (Comprobante de pago)', { width, align: 'center' });
+  doc.moveDown(1.5);
+
+  doc.fontSize(10);
+  line(`Employee: ${employee.first_name} ${employee.last_name}`, `ID ${employee.id}`, { bold: true });
+  line(`Period: ${formatDate(range.startDate, SHORT_DATE)} - ${formatDate(range.endDate, SHORT_DATE)}`, '');
+  doc.moveDown();
+
+  line('Date worked', 'Amount (COP)', { bold: true });
+  rule();
+  if (records.length === 0) {
+    line('No days worked in this period.', '');
+  }
+  records.forEach(record => {
+    line(`${formatDate(record.work_date, SHORT_DATE)}  ·  ${describeQuantity(record)}`, `$${formatCOP(record.wage_amount)}`);
+  });
+  rule();
+  line(`Gross pay (${parseFloat(totals.days_worked)} day(s) worked)`, `$${formatCOP(totals.gross)}`, { bold: true });
+
+  if (adjustments.length > 0) {
+    doc.moveDown();
+    line('Adjustments', '', { bold: true });
+    rule();
+    adjustments.forEach(adjustment => {
+      const type = ADJUSTMENT_TYPES[adjustment.adjustment_type];
+      const notes = adjustment.notes ? ` (${adjustment.notes})` : '';
+      line(
+        `${formatDate(adjustment.adjustment_date, SHORT_DATE)}  ·  ${type.label}${notes}`,
+        formatSignedCOP(type.sign * adjustment.amount)
+      );
+    });
+    rule();
+  }
+
+  doc.moveDown();
+  line('Deductions', formatSignedCOP(-totals.deductions));
+  line('Bonuses', `$${formatCOP(totals.bonuses)}`);
+  line('Net pay', `${formatSignedCOP(totals.net)} COP`, { bold: true });
+
+  // Signature lines at the bottom of the page, on a new page if the content reaches it
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + 90 > bottom) {
+    doc.addPage();
+  }
+  const y = bottom - 40;
+  const signatureWidth = (width - 40) / 2;
+  doc.font('Helvetica').fontSize(10);
+  [left, left + signatureWidth + 40].forEach((x, index) => {
+    doc.moveTo(x, y).lineTo(x + signatureWidth, y).stroke();
+    doc.text(index === 0 ? 'Received by (employee signature)' : `For ${companyName}`, x, y + 5, {
+      width: signatureWidth,
+      align: 'center'
+    });
+  });
+}
+
+// Render payslips as one PDF, one payslip per page. Resolves with the PDF as a Buffer.
+function renderPayslipsPDF(payslips, range) {
+  return new Promise((resolve, reject) => {
+    const companyName = getCompanyName();
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: 'Payslips', Author: companyName } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    payslips.forEach((payslip, index) => {
+      if (index > 0) doc.addPage();
+      drawPayslip(doc, payslip, range, companyName);
+    });
+    doc.end();
+  });
+}
+
+module.exports = {
+  getCompanyName,
+  getPayslips,
+  renderPayslipsPDF
+};
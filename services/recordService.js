@@ -0,0 +1,108 @@
+const { pool } = require('../config/database');
+
+// Columns the records list can be sorted by, with the expressions they order by
+const RECORD_SORTS = {
+  date: ['wr.work_date'],
+  employee: ['LOWER(e.first_name)', 'LOWER(e.last_name)'],
+  amount: ['wr.wage_amount'],
+  recorded: ['wr.recorded_at']
+};
+
+// Page sizes offered on the records list
+const RECORD_PAGE_SIZES = [25, 50, 100, 200];
+const DEFAULT_RECORD_PAGE_SIZE = 50;
+
+// WHERE clause shared by the record list and its totals. Filters are expected to be
+// validated already; paid is 'paid', 'unpaid' or empty.
+function buildRecordConditions({ employeeId, startDate, endDate, paid } = {}) {
+  const conditions = ['wr.deleted_at IS NULL'];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (employeeId) addCondition('wr.employee_id = ?', employeeId);
+  if (startDate) addCondition('wr.work_date >= ?', startDate);
+  if (endDate) addCondition('wr.work_date <= ?', endDate);
+  if (paid) {
+    conditions.push(paid === 'paid' ? 'wr.payment_batch_id IS NOT NULL' : 'wr.payment_batch_id IS NULL');
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// Work records for the records page, its CSV export and the payroll reports, with the
+// employee, who recorded it, its payment and whether a closed pay period locks it.
+// Newest work date first unless another sort is given; limit and offset select a page.
+async function getWorkRecords(filters = {}, { sort = 'date', direction = 'desc', limit = null, offset = 0 } = {}, db = pool) {
+  const { where, params } = buildRecordConditions(filters);
+  const dir = direction === 'asc' ? 'ASC' : 'DESC';
+  // Ties fall back to the most recently recorded, then the ID, so pages don't overlap
+  const orderBy = (Object.hasOwn(RECORD_SORTS, sort) ? RECORD_SORTS[sort] : RECORD_SORTS.date)
+    .map(column => `${column} ${dir}`)
+    .concat(['wr.recorded_at DESC', 'wr.id DESC'])
+    .join(', ');
+
+  let query = `
+    SELECT
+      wr.id,
+      wr.work_date,
+      wr.wage_amount,
+      wr.day_type,
+      wr.hours_worked,
+      wr.overtime_hours,
+      wr.overtime_type,
+      wr.holiday_multiplier,
+      wr.daily_rate,
+      wr.recorded_at,
+      wr.employee_id,
+      wr.email_token,
+      wr.payment_batch_id,
+      e.first_name,
+      e.last_name,
+      er.email AS recorded_by_email,
+      pb.payment_date,
+      pb.method AS payment_method,
+      EXISTS (
+        SELECT 1 FROM pay_periods pp
+        WHERE pp.status = 'closed' AND wr.work_date BETWEEN pp.start_date AND pp.end_date
+      ) AS locked
+    FROM work_records wr
+    JOIN employees e ON wr.employee_id = e.id
+    LEFT JOIN email_recipients er ON wr.recorded_by_recipient_id = er.id
+    LEFT JOIN payment_batches pb ON wr.payment_batch_id = pb.id
+    WHERE ${where}
+    ORDER BY ${orderBy}
+  `;
+
+  if (limit) {
+    params.push(limit, offset);
+    query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  }
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+// Totals over every record matching the filters: record count, wages and distinct employees
+async function getWorkRecordTotals(filters = {}, db = pool) {
+  const { where, params } = buildRecordConditions(filters);
+  const result = await db.query(
+    `SELECT COUNT(*)::integer AS record_count,
+            COALESCE(SUM(wr.wage_amount), 0) AS total_wages,
+            COUNT(DISTINCT wr.employee_id)::integer AS employee_count
+     FROM work_records wr
+     WHERE ${where}`,
+    params
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  RECORD_SORTS,
+  RECORD_PAGE_SIZES,
+  DEFAULT_RECORD_PAGE_SIZE,
+  getWorkRecords,
+  getWorkRecordTotals
+};
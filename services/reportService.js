@@ -0,0 +1,140 @@
+const ExcelJS = require('exceljs');
+const { pool } = require('../config/database');
+const { toDateString, getMonthRange } = require('./dateService');
+const { getPeriodSummary } = require('./payPeriodService');
+const { getWorkRecords } = require('./recordService');
+const { describeQuantity } = require('./workQuantityService');
+
+const COP_FORMAT = '"$"#,##0';
+const DATE_FORMAT = 'yyyy-mm-dd';
+const DAYS_FORMAT = '0.##';
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ]
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Months (YYYY-MM) with work records, newest first, with their record count and gross pay
+async function getReportMonths(limit = 12) {
+  const result = await pool.query(
+    `SELECT TO_CHAR(work_date, 'YYYY-MM') AS month,
+            COUNT(*) AS record_count,
+            COUNT(DISTINCT employee_id) AS employee_count,
+            SUM(wage_amount) AS gross
+     FROM work_records
+     WHERE deleted_at IS NULL
+     GROUP BY 1
+     ORDER BY 1 DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Excel stores dates without a timezone; write the calendar date as UTC midnight so the
+// cell shows the same day the record has
+function toExcelDate(date) {
+  return new Date(`${toDateString(date)}T00:00:00Z`);
+}
+
+function toNumber(value) {
+  return parseFloat(value) || 0;
+}
+
+function uniqueSheetName(name, usedNames) {
+  const base = name.replace(/[:\\/?*[\]]/g, ' ').trim().substring(0, MAX_SHEET_NAME_LENGTH) || 'Employee';
+  let candidate = base;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.substring(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function addTotalsRow(sheet, values) {
+  const row = sheet.addRow(values);
+  row.font = { bold: true };
+  return row;
+}
+
+// Payroll workbook for a YYYY-MM month: a summary sheet with one row per employee and a
+// detail sheet per employee with each of their work records in the month
+async function buildMonthlyPayrollWorkbook(month) {
+  const { startDate, endDate } = getMonthRange(month);
+  const [summary, records] = await Promise.all([
+    getPeriodSummary(startDate, endDate),
+    getWorkRecords({ startDate, endDate })
+  ]);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Employee Tracker';
+  workbook.created = new Date();
+
+  const summarySheet = workbook.addWorksheet('Summary', { views: [{ state: 'frozen', ySplit: 1 }] });
+  summarySheet.columns = [
+    { header: 'Employee', key: 'employee', width: 28 },
+    { header: 'Days Worked', key: 'days_worked', width: 13, style: { numFmt: DAYS_FORMAT } },
+    { header: 'Gross (COP)', key: 'gross', width: 16, style: { numFmt: COP_FORMAT } },
+    { header: 'Adjustments (COP)', key: 'adjustments', width: 18, style: { numFmt: COP_FORMAT } },
+    { header: 'Net (COP)', key: 'net', width: 16, style: { numFmt: COP_FORMAT } }
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+
+  const totals = { days_worked: 0, gross: 0, adjustments: 0, net: 0 };
+  for (const row of summary) {
+    const values = {
+      employee: `${row.first_name} ${row.last_name}`,
+      days_worked: toNumber(row.days_worked),
+      gross: toNumber(row.gross),
+      adjustments: toNumber(row.bonuses) - toNumber(row.deductions),
+      net: toNumber(row.net)
+    };
+    summarySheet.addRow(values);
+    Object.keys(totals).forEach(key => { totals[key] += values[key]; });
+  }
+  addTotalsRow(summarySheet, { employee: 'Total', ...totals });
+
+  // Oldest first within each employee's sheet
+  const recordsByEmployee = new Map();
+  for (const record of [...records].reverse()) {
+    if (!recordsByEmployee.has(record.employee_id)) recordsByEmployee.set(record.employee_id, []);
+    recordsByEmployee.get(record.employee_id).push(record);
+  }
+
+  const usedNames = new Set(['summary']);
+  for (const row of summary) {
+    const sheet = workbook.addWorksheet(
+      uniqueSheetName(`${row.first_name} ${row.last_name}`, usedNames),
+      { views: [{ state: 'frozen', ySplit: 1 }] }
+    );
+    sheet.columns = [
+      { header: 'Date', key: 'work_date', width: 12, style: { numFmt: DATE_FORMAT } },
+      { header: 'Worked', key: 'worked', width: 34 },
+      { header: 'Overtime Hours', key: 'overtime_hours', width: 15, style: { numFmt: DAYS_FORMAT } },
+      { header: 'Daily Rate (COP)', key: 'daily_rate', width: 16, style: { numFmt: COP_FORMAT } },
+      { header: 'Wage (COP)', key: 'wage_amount', width: 16, style: { numFmt: COP_FORMAT } },
+      { header: 'Paid On', key: 'payment_date', width: 12, style: { numFmt: DATE_FORMAT } }
+    ];
+    sheet.getRow(1).font = { bold: true };
+
+    let wageTotal = 0;
+    for (const record of recordsByEmployee.get(row.employee_id) || []) {
+      sheet.addRow({
+        work_date: toExcelDate(record.work_date),
+        worked: describeQuantity(record),
+        overtime_hours: toNumber(record.overtime_hours),
+        daily_rate: toNumber(record.daily_rate),
+        wage_amount: toNumber(record.wage_amount),
+        payment_date: record.payment_date ? toExcelDate(record.payment_date) : null
+      });
+      wageTotal += toNumber(record.wage_amount);
+    }
+    addTotalsRow(sheet, { worked: 'Total', wage_amount: wageTotal });
+  }
+
+  return workbook;
+}
+
+module.exports = {
+  getReportMonths,
+  buildMonthlyPayrollWorkbook
+};
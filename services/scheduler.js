@@ -1,5 +1,11 @@
 const cron = require('node-cron');
 const { sendDailyEmail } = require('./emailService');
+const { getBusinessDate, getTimezone } = require('./dateService');
+const { purgeExpiredRecords } = require('./trashService');
+const { getEmailSkipReason } = require('./holidayService');
+
+// Trash purge runs once a day, away from the email schedule
+const TRASH_PURGE_SCHEDULE = '30 3 * * *';
 
 // Retry configuration
 const MAX_RETRIES = 3;
@@ -16,11 +22,8 @@ async function sendWithRetry(attempt = 1) {
       return;
     }
 
-    // If it failed but not due to a retriable error, don't retry
-    if (result.message.includes('already sent') ||
-        result.message.includes('No active employees') ||
-        result.message.includes('No active recipients') ||
-        result.message.includes('not configured')) {
+    // Configuration problems, empty lists and permanent transport errors won't fix themselves
+    if (!result.retriable) {
       console.log('Scheduled email not sent (non-retriable):', result.message);
       return;
     }
@@ -45,7 +48,7 @@ async function sendWithRetry(attempt = 1) {
 }
 
 function startScheduler() {
-  const timezone = process.env.TIMEZONE || 'America/New_York';
+  const timezone = getTimezone();
   const scheduleTime = process.env.EMAIL_SCHEDULE_TIME || '0 8 * * *';
 
   // Validate cron expression
@@ -53,13 +56,37 @@ function startScheduler() {
     console.error(`Invalid cron expression: ${scheduleTime}. Using default: 0 8 * * *`);
   }
 
-  // Run daily at configured time (default 8:00 AM)
-  cron.schedule(scheduleTime, () => {
+  // Run daily at configured time (default 8:00 AM), except on the holidays, closure days
+  // and Sundays admins chose to skip. Manual sends from the dashboard are never skipped.
+  cron.schedule(scheduleTime, async () => {
+    try {
+      const skipReason = await getEmailSkipReason(getBusinessDate());
+      if (skipReason) {
+        console.log(`Scheduled email skipped: ${skipReason}`);
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking the holiday calendar, sending anyway:', error);
+    }
     sendWithRetry(1);
   }, {
     timezone
   });
 
+  // Permanently remove work records that have been in the trash past the retention period
+  cron.schedule(TRASH_PURGE_SCHEDULE, async () => {
+    try {
+      const purged = await purgeExpiredRecords();
+      if (purged > 0) {
+        console.log(`Purged ${purged} work record(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trashed work records:', error);
+    }
+  }, {
+    timezone
+  });
+
   console.log(`Scheduler started: Daily emails scheduled for ${scheduleTime} (${timezone})`);
 }
 
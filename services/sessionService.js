@@ -0,0 +1,12 @@
+// SECURITY: End the user's sessions, including half-finished 2FA logins, except the
+// given one (the session store keeps express-session data as JSON in the session table)
+async function destroyUserSessions(db, userId, exceptSid = null) {
+  await db.query(
+    `DELETE FROM session
+     WHERE (sess->>'userId' = $1::text OR sess->'pendingTwoFactor'->>'userId' = $1::text)
+       AND ($2::text IS NULL OR sid <> $2)`,
+    [userId, exceptSid]
+  );
+}
+
+module.exports = { destroyUserSessions };
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30-second steps, 6 digits),
+// the defaults every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept one step either side to tolerate clock drift between server and phone
+const ALLOWED_DRIFT_STEPS = 1;
+const ISSUER = 'Employee Tracker';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, as recommended by RFC 4226
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Returns the matching time step, or null if the code is wrong. Steps at or before
+// lastUsedStep are rejected so a code can't be replayed.
+function verifyCode(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI understood by authenticator apps, rendered as a QR code data URL
+// on the server so the secret never leaves the app
+async function getEnrollmentQrCode(secret, username) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return QRCode.toDataURL(`otpauth://totp/${label}?${params}`, { margin: 1, width: 220 });
+}
+
+// One-time recovery codes like "k7f2-9xqm". Returns the plain codes (shown once) and their hashes.
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Dashes, spaces and case are ignored when users type a recovery code back in
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  getEnrollmentQrCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,28 @@
+function checkConfig() {
+  return null;
+}
+
+// Print the message to the server log instead of delivering it
+async function send(msg) {
+  const recipients = Array.isArray(msg.to) ? msg.to.join(', ') : msg.to;
+  console.log('----- Email (console transport) -----');
+  console.log(`From: ${msg.from}`);
+  console.log(`To: ${recipients}`);
+  console.log(`Subject: ${msg.subject}`);
+  console.log('');
+  console.log(msg.text);
+  console.log('-------------------------------------');
+}
+
+// Logging can't fail on its own, so anything reaching here (e.g. a database error) may be transient
+function classifyError(error) {
+  return { message: error.message || 'Please try again later.', retriable: true };
+}
+
+module.exports = {
+  name: 'console',
+  requiresFrom: false,
+  checkConfig,
+  send,
+  classifyError
+};
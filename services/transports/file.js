@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+function getDirectory() {
+  return path.resolve(process.env.EMAIL_FILE_DIR || 'emails');
+}
+
+function checkConfig() {
+  return null;
+}
+
+// Write the message as an .eml file that any mail client can open
+async function send(msg) {
+  const dir = getDirectory();
+  await fs.mkdir(dir, { recursive: true });
+
+  const raw = await new MailComposer(msg).compile().build();
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `${timestamp}-${crypto.randomBytes(4).toString('hex')}.eml`;
+  const filePath = path.join(dir, filename);
+
+  await fs.writeFile(filePath, raw);
+  console.log(`Email written to ${filePath}`);
+}
+
+// Permission and path problems need an operator; anything else may be transient
+function classifyError(error) {
+  if (['EACCES', 'EPERM', 'ENOTDIR', 'EROFS'].includes(error.code)) {
+    return { message: `Cannot write to EMAIL_FILE_DIR (${getDirectory()}): ${error.code}`, retriable: false };
+  }
+  return { message: error.message || 'Please try again later.', retriable: true };
+}
+
+module.exports = {
+  name: 'file',
+  requiresFrom: false,
+  checkConfig,
+  send,
+  classifyError
+};
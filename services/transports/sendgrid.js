@@ -0,0 +1,45 @@
+const sgMail = require('@sendgrid/mail');
+
+// Only set API key if available (prevents startup errors)
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+function checkConfig() {
+  if (!process.env.SENDGRID_API_KEY) {
+    return 'Email service not configured. Please set SENDGRID_API_KEY.';
+  }
+  return null;
+}
+
+async function send(msg) {
+  await sgMail.send(msg);
+}
+
+// Map SendGrid errors to a user-facing message and whether a retry may help
+function classifyError(error) {
+  if (error.code === 401) {
+    return { message: 'Invalid API key. Please check SENDGRID_API_KEY configuration.', retriable: false };
+  }
+  if (error.code === 403) {
+    return { message: 'Permission denied. Please verify SendGrid account settings.', retriable: false };
+  }
+
+  let message = error.message || 'Please try again later.';
+  if (error.response && error.response.body && error.response.body.errors) {
+    message = error.response.body.errors.map(e => e.message).join(', ');
+  }
+
+  // Other 4xx responses are request problems that won't fix themselves, except rate limiting
+  const status = typeof error.code === 'number' ? error.code : null;
+  const retriable = !status || status === 429 || status >= 500;
+  return { message, retriable };
+}
+
+module.exports = {
+  name: 'sendgrid',
+  requiresFrom: true,
+  checkConfig,
+  send,
+  classifyError
+};
@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Build the SMTP transporter lazily so a missing configuration doesn't break startup
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // Port 465 uses implicit TLS; other ports upgrade with STARTTLS when offered
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+function checkConfig() {
+  if (!process.env.SMTP_HOST) {
+    return 'Email service not configured. Please set SMTP_HOST.';
+  }
+  return null;
+}
+
+async function send(msg) {
+  await getTransporter().sendMail(msg);
+}
+
+// Network failures and 4xx SMTP replies are temporary; auth failures and 5xx replies are not
+function classifyError(error) {
+  if (error.code === 'EAUTH') {
+    return { message: 'SMTP authentication failed. Please check SMTP_USER and SMTP_PASSWORD.', retriable: false };
+  }
+  if (error.responseCode && error.responseCode >= 500) {
+    return { message: error.response || error.message, retriable: false };
+  }
+  return { message: error.message || 'Please try again later.', retriable: true };
+}
+
+module.exports = {
+  name: 'smtp',
+  requiresFrom: true,
+  checkConfig,
+  send,
+  classifyError
+};
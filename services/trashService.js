@@ -0,0 +1,46 @@
+const { pool } = require('../config/database');
+const { logAudit } = require('./auditService');
+
+// Trashed work records are purged this many days after they were deleted
+function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return !isNaN(days) && days >= 1 ? days : 30;
+}
+
+// Permanently delete trashed records older than the retention period.
+// Each purge is audited in the same transaction. Returns the number purged.
+async function purgeExpiredRecords() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const purged = await client.query(
+      `DELETE FROM work_records
+       WHERE deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+       RETURNING *`,
+      [getTrashRetentionDays()]
+    );
+
+    for (const record of purged.rows) {
+      await logAudit(client, {
+        actor: { userId: null, label: 'Trash retention' },
+        entityType: 'work_record',
+        entityId: record.id,
+        employeeId: record.employee_id,
+        action: 'purge',
+        before: record
+      });
+    }
+
+    await client.query('COMMIT');
+    return purged.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { getTrashRetentionDays, purgeExpiredRecords };
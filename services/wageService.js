@@ -0,0 +1,112 @@
+const { pool } = require('../config/database');
+const { toDateString } = require('./dateService');
+const { logAudit } = require('./auditService');
+const { computeWageAmount } = require('./workQuantityService');
+
+// Wage in force for an employee on a date (see employee_wage_on in migration 011).
+// Accepts an optional client so the lookup can run inside a transaction.
+async function getWageOn(employeeId, workDate, db = pool) {
+  const result = await db.query(
+    'SELECT employee_wage_on($1, $2::date) AS wage',
+    [employeeId, toDateString(workDate)]
+  );
+  return parseFloat(result.rows[0].wage) || 0;
+}
+
+// An employee's wage history, newest first
+async function getWageHistory(employeeId, db = pool) {
+  const result = await db.query(
+    `SELECT ew.id, ew.daily_wage, ew.effective_from, ew.created_at, u.username AS created_by_username
+     FROM employee_wages ew
+     LEFT JOIN users u ON ew.created_by = u.id
+     WHERE ew.employee_id = $1
+     ORDER BY ew.effective_from DESC`,
+    [employeeId]
+  );
+  return result.rows;
+}
+
+// Every employee's wage history as { employeeId: [[effectiveFrom, wage], ...] }, oldest first,
+// so record forms can show the wage for the chosen date
+async function getWageSchedules(db = pool) {
+  const result = await db.query(
+    'SELECT employee_id, effective_from, daily_wage FROM employee_wages ORDER BY employee_id, effective_from'
+  );
+  const schedules = {};
+  for (const row of result.rows) {
+    if (!schedules[row.employee_id]) schedules[row.employee_id] = [];
+    schedules[row.employee_id].push([toDateString(row.effective_from), parseFloat(row.daily_wage) || 0]);
+  }
+  return schedules;
+}
+
+// Records in a date range whose daily rate differs from the wage history, with the rate and
+// wage they would get. Records in closed pay periods or already paid are included but
+// flagged as locked.
+async function findWageDifferences({ startDate, endDate, employeeId = null }, db = pool) {
+  const result = await db.query(
+    `SELECT wr.id, wr.employee_id, wr.work_date, wr.wage_amount, wr.daily_rate, wr.day_type,
+            wr.hours_worked, wr.overtime_hours, wr.overtime_type, wr.overtime_multiplier,
+            wr.holiday_multiplier, e.first_name, e.last_name,
+            employee_wage_on(wr.employee_id, wr.work_date) AS new_rate,
+            wr.payment_batch_id IS NOT NULL AS paid,
+            wr.payment_batch_id IS NOT NULL OR EXISTS (
+              SELECT 1 FROM pay_periods pp
+              WHERE pp.status = 'closed' AND wr.work_date BETWEEN pp.start_date AND pp.end_date
+            ) AS locked
+     FROM work_records wr
+     JOIN employees e ON wr.employee_id = e.id
+     WHERE wr.deleted_at IS NULL
+       AND wr.work_date BETWEEN $1 AND $2
+       AND ($3::integer IS NULL OR wr.employee_id = $3::integer)
+       AND wr.daily_rate IS DISTINCT FROM employee_wage_on(wr.employee_id, wr.work_date)
+     ORDER BY wr.work_date, e.first_name, e.last_name, wr.id`,
+    [startDate, endDate, employeeId]
+  );
+  return result.rows.map(row => ({ ...row, new_wage: computeWageAmount(row.new_rate, row) }));
+}
+
+// Set the given records to the daily rate in force on their date and reprice them, skipping
+// any that were trashed, locked by a closed period, paid or already match since the preview.
+// Each change is audited. Run inside a transaction. Returns the number of records updated.
+async function applyWageRecalculation(client, recordIds, actor) {
+  const before = await client.query(
+    `SELECT wr.*, employee_wage_on(wr.employee_id, wr.work_date) AS new_rate
+     FROM work_records wr
+     WHERE wr.id = ANY($1::int[])
+       AND wr.deleted_at IS NULL
+       AND wr.daily_rate IS DISTINCT FROM employee_wage_on(wr.employee_id, wr.work_date)
+       AND wr.payment_batch_id IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM pay_periods pp
+         WHERE pp.status = 'closed' AND wr.work_date BETWEEN pp.start_date AND pp.end_date
+       )
+     FOR UPDATE`,
+    [recordIds]
+  );
+
+  for (const record of before.rows) {
+    const updated = await client.query(
+      'UPDATE work_records SET daily_rate = $1, wage_amount = $2 WHERE id = $3 RETURNING *',
+      [record.new_rate, computeWageAmount(record.new_rate, record), record.id]
+    );
+    await logAudit(client, {
+      actor,
+      entityType: 'work_record',
+      entityId: record.id,
+      employeeId: record.employee_id,
+      action: 'update',
+      before: record,
+      after: updated.rows[0]
+    });
+  }
+  return before.rows.length;
+}
+
+module.exports = {
+  getWageOn,
+  getWageHistory,
+  getWageSchedules,
+  findWageDifferences,
+  applyWageRecalculation
+};
@@ -0,0 +1,144 @@
+// How much work a record covers (a full day, half a day or a number of hours) plus
+// overtime, and the wage that comes out of it given the employee's daily rate
+const DAY_TYPES = {
+  full: 'Full day',
+  half: 'Half day',
+  hours: 'Hours'
+};
+
+// Colombian labour code surcharges by default: +25% daytime, +75% night,
+// +100% Sunday/holiday and +150% Sunday/holiday night overtime
+const OVERTIME_TYPES = {
+  day: { label: 'Daytime', envVar: 'OVERTIME_DAY_MULTIPLIER', defaultMultiplier: 1.25 },
+  night: { label: 'Night', envVar: 'OVERTIME_NIGHT_MULTIPLIER', defaultMultiplier: 1.75 },
+  sunday: { label: 'Sunday/holiday', envVar: 'OVERTIME_SUNDAY_MULTIPLIER', defaultMultiplier: 2 },
+  sunday_night: { label: 'Sunday/holiday night', envVar: 'OVERTIME_SUNDAY_NIGHT_MULTIPLIER', defaultMultiplier: 2.5 }
+};
+
+const MAX_HOURS = 24;
+
+// Hours in a full working day, used to turn the daily rate into an hourly one
+function getHoursPerDay() {
+  const hours = parseFloat(process.env.HOURS_PER_DAY);
+  return !isNaN(hours) && hours > 0 && hours <= MAX_HOURS ? hours : 8;
+}
+
+function getOvertimeMultiplier(type) {
+  const config = OVERTIME_TYPES[type];
+  const multiplier = parseFloat(process.env[config.envVar]);
+  return !isNaN(multiplier) && multiplier >= 1 ? multiplier : config.defaultMultiplier;
+}
+
+// Overtime types with their labels and current multipliers, for forms
+function getOvertimeOptions() {
+  return Object.entries(OVERTIME_TYPES).map(([value, config]) => ({
+    value,
+    label: config.label,
+    multiplier: getOvertimeMultiplier(value)
+  }));
+}
+
+// Hours as entered in a form: empty is 0, otherwise a number up to 24 in quarter hours
+function parseHours(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return 0;
+  const hours = Number(value);
+  if (isNaN(hours) || hours < 0 || hours > MAX_HOURS || Math.round(hours * 4) !== hours * 4) return null;
+  return hours;
+}
+
+// Validate the quantity fields of a form. Returns { error } or { quantity } with the
+// work_records columns, taking the overtime multiplier in force now.
+function parseWorkQuantity({ day_type, hours_worked, overtime_hours, overtime_type } = {}) {
+  const dayType = day_type || 'full';
+  if (!DAY_TYPES[dayType]) {
+    return { error: 'Please choose full day, half day or hours' };
+  }
+
+  let hoursWorked = null;
+  if (dayType === 'hours') {
+    hoursWorked = parseHours(hours_worked);
+    if (!hoursWorked) {
+      return { error: 'Please enter the hours worked (up to 24, in quarter hours)' };
+    }
+  }
+
+  const overtimeHours = parseHours(overtime_hours);
+  if (overtimeHours === null) {
+    return { error: 'Please enter valid overtime hours (up to 24, in quarter hours)' };
+  }
+
+  let overtimeType = null;
+  if (overtimeHours > 0) {
+    overtimeType = overtime_type || 'day';
+    if (!OVERTIME_TYPES[overtimeType]) {
+      return { error: 'Please choose a valid overtime type' };
+    }
+  }
+
+  return {
+    quantity: {
+      day_type: dayType,
+      hours_worked: hoursWorked,
+      overtime_hours: overtimeHours,
+      overtime_type: overtimeType,
+      overtime_multiplier: overtimeType ? getOvertimeMultiplier(overtimeType) : null
+    }
+  };
+}
+
+// Fraction of a full day covered by a record, not counting overtime
+function dayFraction(record) {
+  if (record.day_type === 'half') return 0.5;
+  if (record.day_type === 'hours') return (parseFloat(record.hours_worked) || 0) / getHoursPerDay();
+  return 1;
+}
+
+// Wage owed for a record: the worked part of the daily rate (times the Sunday/holiday
+// surcharge, if any) plus overtime at the hourly rate times the record's overtime
+// multiplier, rounded to whole pesos
+function computeWageAmount(dailyRate, record) {
+  const rate = parseFloat(dailyRate) || 0;
+  const holidayMultiplier = parseFloat(record.holiday_multiplier) || 1;
+  const overtimeHours = parseFloat(record.overtime_hours) || 0;
+  const multiplier = parseFloat(record.overtime_multiplier) || 1;
+  const overtime = overtimeHours > 0 ? (rate / getHoursPerDay()) * overtimeHours * multiplier : 0;
+  return Math.round(rate * dayFraction(record) * holidayMultiplier + overtime);
+}
+
+// Whether a saved record already has the quantity parsed from a form
+function isSameQuantity(record, quantity) {
+  return record.day_type === quantity.day_type &&
+    (parseFloat(record.hours_worked) || 0) === (quantity.hours_worked || 0) &&
+    (parseFloat(record.overtime_hours) || 0) === quantity.overtime_hours &&
+    (record.overtime_type || null) === quantity.overtime_type;
+}
+
+function formatHours(hours) {
+  return `${parseFloat(hours)} h`;
+}
+
+// Short description like "Half day + 2 h night overtime"
+function describeQuantity(record) {
+  let text = record.day_type === 'hours' ? formatHours(record.hours_worked) : DAY_TYPES[record.day_type || 'full'];
+  if (record.holiday_multiplier) {
+    text += ' (holiday rate)';
+  }
+  if (parseFloat(record.overtime_hours) > 0) {
+    const type = OVERTIME_TYPES[record.overtime_type];
+    text += ` + ${formatHours(record.overtime_hours)} ${type ? type.label.toLowerCase() + ' ' : ''}overtime`;
+  }
+  return text;
+}
+
+module.exports = {
+  DAY_TYPES,
+  OVERTIME_TYPES,
+  getHoursPerDay,
+  getOvertimeMultiplier,
+  getOvertimeOptions,
+  parseWorkQuantity,
+  dayFraction,
+  computeWageAmount,
+  isSameQuantity,
+  describeQuantity
+};
@@ -0,0 +1,110 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCSV, parseCSV, parseCSVWithHeaders } = require('../services/csvService');
+
+const fieldsOf = text => parseCSV(text).records.map(record => record.fields);
+
+describe('parseCSV', () => {
+  test('keeps commas inside quoted values', () => {
+    assert.deepEqual(fieldsOf('name,note\n"Ruiz, Ana","a, b, c"\n'), [
+      ['name', 'note'],
+      ['Ruiz, Ana', 'a, b, c']
+    ]);
+  });
+
+  test('unescapes doubled quotes', () => {
+    assert.deepEqual(fieldsOf('"say ""hola""",""\n'), [['say "hola"', '']]);
+  });
+
+  test('accepts CRLF, LF and CR line endings', () => {
+    const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+    assert.deepEqual(fieldsOf('a,b\r\n1,2\r\n3,4\r\n'), expected);
+    assert.deepEqual(fieldsOf('a,b\n1,2\n3,4'), expected);
+    assert.deepEqual(fieldsOf('a,b\r1,2\r3,4\r'), expected);
+  });
+
+  test('keeps line breaks inside quoted values', () => {
+    assert.deepEqual(fieldsOf('"line one\r\nline two",x\n'), [['line one\r\nline two', 'x']]);
+  });
+
+  test('drops a leading byte order mark', () => {
+    assert.deepEqual(fieldsOf('\ufeffwork_date,employee_id\n2026-10-01,1\n'), [
+      ['work_date', 'employee_id'],
+      ['2026-10-01', '1']
+    ]);
+  });
+
+  test('skips blank lines but keeps the file line numbers', () => {
+    const { records } = parseCSV('a,b\n\n1,2\n   \n"x\ny",3\n4,5\n');
+    assert.deepEqual(records.map(record => record.line), [1, 3, 5, 7]);
+    assert.deepEqual(records.map(record => record.fields[0]), ['a', '1', 'x\ny', '4']);
+  });
+
+  test('reports a quote that is never closed with its line', () => {
+    assert.deepEqual(parseCSV('a,b\n1,2\n"3,4\n5,6\n'), { error: 'Line 3: a quoted value is never closed' });
+  });
+});
+
+describe('parseCSVWithHeaders', () => {
+  test('keys rows by lowercased, trimmed headers', () => {
+    const parsed = parseCSVWithHeaders(' Work_Date ,Employee_ID\r\n2026-10-01 , 7\r\n', { requiredHeaders: ['work_date'] });
+    assert.deepEqual(parsed.headers, ['work_date', 'employee_id']);
+    assert.deepEqual(parsed.rows, [{ line: 2, values: { work_date: '2026-10-01', employee_id: '7' } }]);
+  });
+
+  test('names missing required columns', () => {
+    assert.deepEqual(parseCSVWithHeaders('first_name\nAna\n', { requiredHeaders: ['first_name', 'last_name'] }),
+      { error: 'Missing column(s): last_name' });
+  });
+
+  test('rejects an empty file', () => {
+    assert.deepEqual(parseCSVWithHeaders('\ufeff\r\n\r\n'), { error: 'The file is empty' });
+  });
+
+  test('surfaces an unclosed quote instead of swallowing the rest of the file', () => {
+    assert.deepEqual(parseCSVWithHeaders('first_name,last_name\n"Ana,Ruiz\nLuis,Paz\n'),
+      { error: 'Line 2: a quoted value is never closed' });
+  });
+});
+
+describe('toCSV', () => {
+  const columns = [
+    { header: 'name', value: row => row.name },
+    { header: 'amount', value: row => row.amount }
+  ];
+
+  test('starts with a byte order mark and uses CRLF', () => {
+    assert.equal(toCSV(columns, [{ name: 'Ana', amount: 80000 }]), '\ufeffname,amount\r\nAna,80000\r\n');
+  });
+
+  test('quotes commas, quotes and line breaks', () => {
+    const csv = toCSV(columns, [{ name: 'Ruiz, "Ana"\nPaz', amount: null }]);
+    assert.equal(csv, '\ufeffname,amount\r\n"Ruiz, ""Ana""\nPaz",\r\n');
+  });
+
+  test('prefixes text that a spreadsheet would run as a formula', () => {
+    const csv = toCSV(columns, [
+      { name: '=HYPERLINK("x")', amount: -5 },
+      { name: '+57', amount: 0 },
+      { name: '-1', amount: 0 },
+      { name: '@SUM(A1)', amount: 0 },
+      { name: '\tTab', amount: 0 }
+    ]);
+    assert.deepEqual(csv.split('\r\n').slice(1, -1), [
+      '"\'=HYPERLINK(""x"")",-5',
+      '\'+57,0',
+      '\'-1,0',
+      '\'@SUM(A1),0',
+      '\'\tTab,0'
+    ]);
+  });
+
+  test('round-trips through parseCSV', () => {
+    const rows = [{ name: 'Peña, José "Pepe"', amount: 1 }, { name: 'two\r\nlines', amount: 2 }];
+    assert.deepEqual(fieldsOf(toCSV(columns, rows)), [
+      ['name', 'amount'],
+      ['Peña, José "Pepe"', '1'],
+      ['two\r\nlines', '2']
+    ]);
+  });
+});
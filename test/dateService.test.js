@@ -0,0 +1,72 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getBusinessDate,
+  getFirstDayOfMonth,
+  isValidMonth,
+  getMonthRange,
+  toDateString,
+  parseDate
+} = require('../services/dateService');
+
+// Bogota is UTC-5 all year (no daylight saving), so its day starts at 05:00Z
+describe('business dates in America/Bogota', () => {
+  let savedTimezone;
+
+  beforeEach(() => {
+    savedTimezone = process.env.TIMEZONE;
+    process.env.TIMEZONE = 'America/Bogota';
+  });
+
+  afterEach(() => {
+    if (savedTimezone === undefined) {
+      delete process.env.TIMEZONE;
+    } else {
+      process.env.TIMEZONE = savedTimezone;
+    }
+  });
+
+  test('the day changes at 05:00Z, not at UTC midnight', () => {
+    assert.equal(getBusinessDate(new Date('2026-10-20T04:59:59Z')), '2026-10-19');
+    assert.equal(getBusinessDate(new Date('2026-10-20T05:00:00Z')), '2026-10-20');
+  });
+
+  test('an evening entry stays on the local day', () => {
+    assert.equal(getBusinessDate(new Date('2026-10-20T02:30:00Z')), '2026-10-19');
+  });
+
+  test('the first day of the month follows the local month', () => {
+    assert.equal(getFirstDayOfMonth(new Date('2026-11-01T04:59:59Z')), '2026-10-01');
+    assert.equal(getFirstDayOfMonth(new Date('2026-11-01T05:00:00Z')), '2026-11-01');
+  });
+
+  test('the year rolls over at local midnight', () => {
+    assert.equal(getBusinessDate(new Date('2027-01-01T04:59:59Z')), '2026-12-31');
+    assert.equal(getBusinessDate(new Date('2027-01-01T05:00:00Z')), '2027-01-01');
+    assert.equal(getFirstDayOfMonth(new Date('2027-01-01T04:59:59Z')), '2026-12-01');
+    assert.equal(getFirstDayOfMonth(new Date('2027-01-01T05:00:00Z')), '2027-01-01');
+  });
+});
+
+describe('date strings', () => {
+  test('toDateString keeps the calendar date of a local-midnight DATE value', () => {
+    assert.equal(toDateString(new Date(2026, 0, 1)), '2026-01-01');
+    assert.equal(toDateString('2026-12-31T00:00:00.000Z'), '2026-12-31');
+  });
+
+  test('parseDate round-trips through toDateString', () => {
+    assert.equal(toDateString(parseDate('2026-12-31')), '2026-12-31');
+  });
+
+  test('isValidMonth accepts YYYY-MM months only', () => {
+    assert.equal(isValidMonth('2026-10'), true);
+    assert.equal(isValidMonth('2026-13'), false);
+    assert.equal(isValidMonth('2026-1'), false);
+    assert.equal(isValidMonth(undefined), false);
+  });
+
+  test('getMonthRange covers the whole month, including leap years', () => {
+    assert.deepEqual(getMonthRange('2026-12'), { startDate: '2026-12-01', endDate: '2026-12-31' });
+    assert.deepEqual(getMonthRange('2028-02'), { startDate: '2028-02-01', endDate: '2028-02-29' });
+  });
+});
@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { toDateString } = require('../services/dateService');
+const { getEasterSunday, getColombianHolidays, getHolidayName } = require('../services/holidayService');
+
+const holidayOn = (year, name) => getColombianHolidays(year).find(h => h.name === name).date;
+
+describe('Easter Sunday', () => {
+  test('falls on the known dates', () => {
+    assert.equal(toDateString(getEasterSunday(2025)), '2025-04-20');
+    assert.equal(toDateString(getEasterSunday(2026)), '2026-04-05');
+  });
+
+  test('Holy Thursday and Good Friday stay on their weekdays', () => {
+    assert.equal(holidayOn(2025, 'Jueves Santo'), '2025-04-17');
+    assert.equal(holidayOn(2025, 'Viernes Santo'), '2025-04-18');
+    assert.equal(holidayOn(2026, 'Jueves Santo'), '2026-04-02');
+    assert.equal(holidayOn(2026, 'Viernes Santo'), '2026-04-03');
+  });
+
+  test('Easter-based holidays move to the following Monday', () => {
+    assert.equal(holidayOn(2025, 'Ascensión del Señor'), '2025-06-02');
+    assert.equal(holidayOn(2025, 'Corpus Christi'), '2025-06-23');
+    assert.equal(holidayOn(2025, 'Sagrado Corazón de Jesús'), '2025-06-30');
+    assert.equal(holidayOn(2026, 'Ascensión del Señor'), '2026-05-18');
+    assert.equal(holidayOn(2026, 'Corpus Christi'), '2026-06-08');
+    assert.equal(holidayOn(2026, 'Sagrado Corazón de Jesús'), '2026-06-15');
+  });
+});
+
+// Ley Emiliani: the listed holidays are observed on the next Monday unless they fall on one
+describe('Ley Emiliani Monday moves', () => {
+  test('holidays off a Monday move to the next Monday', () => {
+    assert.equal(holidayOn(2025, 'Día de San José'), '2025-03-24');
+    assert.equal(holidayOn(2025, 'La Asunción de la Virgen'), '2025-08-18');
+    assert.equal(holidayOn(2025, 'Independencia de Cartagena'), '2025-11-17');
+    assert.equal(holidayOn(2026, 'Día de los Reyes Magos'), '2026-01-12');
+    assert.equal(holidayOn(2026, 'Todos los Santos'), '2026-11-02');
+    assert.equal(holidayOn(2026, 'Independencia de Cartagena'), '2026-11-16');
+  });
+
+  test('holidays already on a Monday stay put', () => {
+    assert.equal(holidayOn(2025, 'Día de los Reyes Magos'), '2025-01-06');
+    assert.equal(holidayOn(2025, 'San Pedro y San Pablo'), '2025-06-30');
+    assert.equal(holidayOn(2026, 'San Pedro y San Pablo'), '2026-06-29');
+    assert.equal(holidayOn(2026, 'Día de la Raza'), '2026-10-12');
+  });
+
+  test('fixed holidays are never moved', () => {
+    assert.equal(holidayOn(2025, 'Día de la Independencia'), '2025-07-20');
+    assert.equal(holidayOn(2026, 'Día de la Inmaculada Concepción'), '2026-12-08');
+    assert.equal(getHolidayName('2026-01-06'), null);
+    assert.equal(getHolidayName('2026-01-12'), 'Día de los Reyes Magos');
+  });
+});
+
+describe('the holiday calendar', () => {
+  test('lists 18 holidays for 2025 and 2026, in date order', () => {
+    for (const year of [2025, 2026]) {
+      const dates = getColombianHolidays(year).map(h => h.date);
+      assert.equal(dates.length, 18);
+      assert.deepEqual(dates, [...dates].sort());
+    }
+  });
+
+  test('moved holidays can share a Monday', () => {
+    const onJune30 = getColombianHolidays(2025).filter(h => h.date === '2025-06-30').map(h => h.name);
+    assert.deepEqual(onJune30.sort(), ['Sagrado Corazón de Jesús', 'San Pedro y San Pablo']);
+  });
+});
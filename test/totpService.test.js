@@ -0,0 +1,62 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, verifyCode } = require('../services/totpService');
+
+// RFC 6238 appendix B: SHA-1 with the ASCII secret "12345678901234567890", 30-second steps.
+// The RFC lists 8-digit codes; the app uses their last 6 digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1111111111, code: '050471' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+  { time: 20000000000, code: '353130' }
+];
+
+const at = seconds => ({ now: seconds * 1000 });
+const stepOf = seconds => Math.floor(seconds / 30);
+
+describe('RFC 6238 test vectors', () => {
+  for (const { time, code } of RFC_VECTORS) {
+    test(`T=${time} gives ${code}`, () => {
+      assert.equal(verifyCode(RFC_SECRET, code, at(time)), stepOf(time));
+    });
+  }
+
+  test('a code from another vector is rejected', () => {
+    assert.equal(verifyCode(RFC_SECRET, '005924', at(2000000000)), null);
+  });
+});
+
+describe('the verification window', () => {
+  // 1111111109 and 1111111111 fall in consecutive steps
+  const step = stepOf(1111111111);
+
+  test('accepts the code one step early or late', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050471', at(1111111111 - 30)), step);
+    assert.equal(verifyCode(RFC_SECRET, '050471', at(1111111111 + 30)), step);
+  });
+
+  test('rejects the code two steps away', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050471', at(1111111111 - 60)), null);
+    assert.equal(verifyCode(RFC_SECRET, '050471', at(1111111111 + 60)), null);
+  });
+
+  test('rejects a code at or before the last used step', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050471', { ...at(1111111111), lastUsedStep: step }), null);
+    assert.equal(verifyCode(RFC_SECRET, '081804', { ...at(1111111111), lastUsedStep: step - 1 }), null);
+    assert.equal(verifyCode(RFC_SECRET, '050471', { ...at(1111111111), lastUsedStep: step - 1 }), step);
+  });
+
+  test('ignores spaces but rejects malformed codes', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050 471', at(1111111111)), step);
+    assert.equal(verifyCode(RFC_SECRET, '05047', at(1111111111)), null);
+    assert.equal(verifyCode(RFC_SECRET, '05047a', at(1111111111)), null);
+    assert.equal(verifyCode('', '050471', at(1111111111)), null);
+  });
+});
+
+test('generated secrets are 160-bit base32', () => {
+  assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+});